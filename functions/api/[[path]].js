@@ -21,7 +21,8 @@ function getR2Binding(env) {
     const lower = key.toLowerCase();
     const isR2Like = (lower.includes('r2') || lower.includes('gallery') || lower.includes('bucket'));
     const isObject = typeof env[key] === 'object' && env[key] !== null;
-    const hasR2Methods = ('put' in env[key] || 'get' in env[key] || 'list' in env[key]);
+    // Skip string env vars such as GALLERY_PASSWORD before using the `in` operator
+    const hasR2Methods = isObject && ('put' in env[key] || 'get' in env[key] || 'list' in env[key]);
     return isR2Like && isObject && hasR2Methods;
   });
   
@@ -65,6 +66,323 @@ function getKVBinding(env) {
   return null;
 }
 
+// Session configuration
+// GALLERY_PASSWORD and SESSION_SECRET are set as encrypted environment variables
+// in Cloudflare Pages Settings → Environment variables
+const SESSION_COOKIE_NAME = 'ssda_session';
+const SESSION_TTL_SECONDS = 60 * 60 * 12; // 12 hours
+// Every login stores session:<jti> in KV (expiring with the token) and logout deletes it, so a
+// token stops working when its session ends even though its signature is still valid
+const SESSION_KEY_PREFIX = 'session:';
+
+// Helper function to build a JSON response
+function jsonResponse(data, status, corsHeaders, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status: status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json', ...extraHeaders },
+  });
+}
+
+// Helper functions for base64url encoding (used by session tokens)
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Compare two strings without leaking the position of the first mismatch
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(String(a));
+  const right = encoder.encode(String(b));
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % right.length] || 0);
+  }
+  return diff === 0;
+}
+
+async function getSigningKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// Sign a payload as "<base64url JSON>.<base64url HMAC-SHA256>"
+async function signToken(payload, secret) {
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const key = await getSigningKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return `${body}.${base64UrlEncode(signature)}`;
+}
+
+// Verify a signed token and return its payload, or null if it is invalid or expired
+async function verifyToken(token, secret) {
+  if (!token || !secret) return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  try {
+    const key = await getSigningKey(secret);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(body)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    console.warn('⚠️ Invalid token:', error.message);
+    return null;
+  }
+}
+
+// Read the session token from the Authorization header or the session cookie
+function getSessionToken(request) {
+  const authHeader = request.headers.get('Authorization') || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.substring('Bearer '.length).trim();
+  }
+
+  const cookieHeader = request.headers.get('Cookie') || '';
+  for (const cookie of cookieHeader.split(';')) {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE_NAME) {
+      return rest.join('=');
+    }
+  }
+  return null;
+}
+
+// Returns the verified session payload for the request, or null
+// Share link tokens are signed with the same secret but carry a typ, so they are never sessions
+async function getSession(request, env, kvStore) {
+  const payload = await verifyToken(getSessionToken(request), env.SESSION_SECRET);
+  if (!payload || payload.typ || !payload.jti) return null;
+  const stored = await kvStore.get(`${SESSION_KEY_PREFIX}${payload.jti}`);
+  return stored ? payload : null;
+}
+
+function buildSessionCookie(token, maxAge) {
+  return `${SESSION_COOKIE_NAME}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+function unauthorizedResponse(corsHeaders) {
+  return jsonResponse(
+    { error: 'Unauthorized', details: 'Please log in to the gallery to perform this action' },
+    401,
+    corsHeaders
+  );
+}
+
+// Roles, from least to most privileged
+// viewer: browse the gallery, uploader: also add images, admin: also delete and manage users
+const ROLES = ['viewer', 'uploader', 'admin'];
+const DEFAULT_SHARED_ROLE = 'viewer';
+const PASSWORD_HASH_ITERATIONS = 100000;
+
+function hasRole(role, requiredRole) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Role given to members who log in with the shared GALLERY_PASSWORD (stored in KV)
+async function getSharedRole(kvStore) {
+  const role = await kvStore.get('settings:shared-role');
+  return ROLES.includes(role) ? role : DEFAULT_SHARED_ROLE;
+}
+
+// Hash a user password with PBKDF2-SHA256 (salt is base64url)
+async function hashPassword(password, salt) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: base64UrlDecode(salt), iterations: PASSWORD_HASH_ITERATIONS },
+    keyMaterial,
+    256
+  );
+  return base64UrlEncode(bits);
+}
+
+// Resolve the current role for a session
+// Roles are read from KV on every request so that role changes apply immediately
+async function getSessionRole(session, kvStore, env) {
+  if (!session) return null;
+
+  if (session.sub === 'member') {
+    return getSharedRole(kvStore);
+  }
+
+  const userData = await kvStore.get(`user:${session.sub}`);
+  if (userData) {
+    const user = JSON.parse(userData);
+    return ROLES.includes(user.role) ? user.role : null;
+  }
+
+  // Bootstrap admin account (only while no "admin" user exists in KV)
+  if (session.sub === 'admin' && env.GALLERY_ADMIN_PASSWORD) {
+    return 'admin';
+  }
+
+  return null;
+}
+
+// Check that the request has a session with at least the required role
+// Returns { session, role } on success or { response } with a 401/403 response
+async function authorize(request, env, kvStore, requiredRole, corsHeaders) {
+  const session = await getSession(request, env, kvStore);
+  const role = await getSessionRole(session, kvStore, env);
+
+  if (!session || !role) {
+    return { response: unauthorizedResponse(corsHeaders) };
+  }
+
+  if (!hasRole(role, requiredRole)) {
+    console.warn('❌ Permission denied:', session.sub, 'has role', role, 'but needs', requiredRole);
+    return {
+      response: jsonResponse(
+        { error: 'Forbidden', details: `This action requires the ${requiredRole} role (you are ${role})` },
+        403,
+        corsHeaders
+      )
+    };
+  }
+
+  return { session, role };
+}
+
+// Router
+// Each route declares its method(s), a path pattern and the minimum role it needs (null = public).
+// ":name" matches one path segment and "*name" matches the rest of the path.
+// Matched params are URL-decoded and passed to the handler as ctx.params.
+// GET routes also answer HEAD; the body is dropped in onRequest.
+function route(methods, pattern, role, handler) {
+  const paramNames = [];
+  const regexSource = pattern.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      paramNames.push(segment.substring(1));
+      return '([^/]+)';
+    }
+    if (segment.startsWith('*')) {
+      paramNames.push(segment.substring(1));
+      return '(.+)';
+    }
+    return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+
+  const methodList = Array.isArray(methods) ? methods : [methods];
+  if (methodList.includes('GET') && !methodList.includes('HEAD')) methodList.push('HEAD');
+
+  return {
+    methods: methodList,
+    pattern,
+    role,
+    handler,
+    regex: new RegExp(`^${regexSource}$`),
+    paramNames,
+  };
+}
+
+const routes = [
+  route('POST', '/api/login', null, ctx => handleLogin(ctx.request, ctx.env, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/logout', null, ctx => handleLogout(ctx.request, ctx.env, ctx.kvStore, ctx.corsHeaders)),
+  route('GET', '/api/session', null, ctx => handleGetSession(ctx.request, ctx.env, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/upload', 'uploader', ctx => handleUpload(ctx.request, ctx.session, ctx.role, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('POST', '/api/uploads', 'uploader', ctx => handleCreateMultipartUpload(ctx.request, ctx.session, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders, ctx.waitUntil)),
+  route('GET', '/api/uploads/:id', 'uploader', ctx => handleGetMultipartUpload(ctx.params.id, ctx.session, ctx.kvStore, ctx.corsHeaders)),
+  route('DELETE', '/api/uploads/:id', 'uploader', ctx => handleAbortMultipartUpload(ctx.params.id, ctx.session, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders)),
+  route('PUT', '/api/uploads/:id/parts/:part', 'uploader', ctx => handleUploadPart(ctx.params.id, ctx.params.part, ctx.request, ctx.session, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/uploads/:id/complete', 'uploader', ctx => handleCompleteMultipartUpload(ctx.params.id, ctx.request, ctx.session, ctx.role, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('GET', '/api/gallery', 'viewer', ctx => handleGetGallery(ctx.url, ctx.kvStore, ctx.corsHeaders)),
+  route('GET', '/api/search', 'viewer', ctx => handleSearch(ctx.url, ctx.kvStore, ctx.corsHeaders)),
+  route('GET', '/api/groups', 'viewer', ctx => handleGetGroups(ctx.url, ctx.kvStore, ctx.corsHeaders)),
+  route('PUT', '/api/groups/:name', 'admin', ctx => handleRenameGroup(ctx.params.name, ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('POST', '/api/groups/:name/merge', 'admin', ctx => handleMergeGroup(ctx.params.name, ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('PUT', '/api/groups/:name/order', 'admin', ctx => handleReorderGroup(ctx.params.name, ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('PUT', '/api/groups/:name/cover', 'admin', ctx => handleSetGroupCover(ctx.params.name, ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  // Viewers, or share link visitors for their group (checked in the handler)
+  route('GET', '/api/groups/:name/archive', null, ctx => handleGetGroupArchive(ctx.params.name, ctx.url, ctx.request, ctx.env, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders, ctx.waitUntil)),
+  route('GET', '/api/groups/:name/shares', 'admin', ctx => handleGetShares(ctx.params.name, ctx.env, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/groups/:name/shares', 'admin', ctx => handleCreateShare(ctx.params.name, ctx.request, ctx.session, ctx.env, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('DELETE', '/api/shares/:id', 'admin', ctx => handleRevokeShare(ctx.params.id, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  // Public: the share token in ?share= is the credential
+  route('GET', '/api/shared', null, ctx => handleGetSharedGroup(ctx.url, ctx.env, ctx.kvStore, ctx.corsHeaders)),
+  route('PATCH', '/api/images/:id', 'uploader', ctx => handleUpdateImage(ctx.params.id, ctx.request, ctx.session, ctx.role, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('POST', '/api/images/move', 'admin', ctx => handleMoveImages(ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('POST', '/api/images/lookup', 'uploader', ctx => handleLookupHashes(ctx.request, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/images/link', 'uploader', ctx => handleLinkImages(ctx.request, ctx.session, ctx.role, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('POST', '/api/images/delete', 'admin', ctx => handleDeleteImages(ctx.request, ctx.session, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('DELETE', '/api/delete/:id', 'admin', ctx => handleDeleteImage(ctx.params.id, ctx.session, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('DELETE', '/api/delete-group/:name', 'admin', ctx => handleDeleteGroup(ctx.params.name, ctx.session, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('GET', '/api/moderation', 'admin', ctx => handleGetModerationQueue(ctx.url, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/moderation/approve', 'admin', ctx => handleApproveImages(ctx.request, ctx.session, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('POST', '/api/moderation/reject', 'admin', ctx => handleRejectImages(ctx.request, ctx.session, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('GET', '/api/trash', 'admin', ctx => handleGetTrash(ctx.url, ctx.env, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/trash/restore', 'admin', ctx => handleRestoreFromTrash(ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  // Called by the scheduled trash-purge worker (Bearer CRON_SECRET) or by an admin
+  route('POST', '/api/trash/purge', null, ctx => handlePurgeTrash(ctx.request, ctx.env, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('DELETE', '/api/trash/:id', 'admin', ctx => handleDeleteFromTrash(ctx.params.id, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  // The image path can be a simple filename or a path like gallery-imagessda/image-123.jpg
+  // Needs a viewer session or a share link for the image's group (checked in handleGetImage)
+  route('GET', '/api/image/*filename', null, ctx => handleGetImage(ctx.params.filename, ctx.url, ctx.request, ctx.env, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders)),
+  route('GET', '/api/users', 'admin', ctx => handleGetUsers(ctx.kvStore, ctx.corsHeaders)),
+  route('PUT', '/api/users/:username', 'admin', ctx => handlePutUser(ctx.params.username, ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('DELETE', '/api/users/:username', 'admin', ctx => handleDeleteUser(ctx.params.username, ctx.session, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('GET', '/api/audit', 'admin', ctx => handleGetAudit(ctx.url, ctx.kvStore, ctx.corsHeaders)),
+  route('PUT', '/api/settings/shared-role', 'admin', ctx => handlePutSharedRole(ctx.request, ctx.kvStore, ctx.corsHeaders, ctx.audit)),
+  route('GET', '/api/maintenance/check', 'admin', ctx => handleMaintenanceCheck(ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/maintenance/migrate', 'admin', ctx => handleMaintenanceMigrate(ctx.url, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders)),
+  route('POST', '/api/maintenance/scrub', 'admin', ctx => handleMaintenanceScrub(ctx.url, ctx.r2Bucket, ctx.kvStore, ctx.corsHeaders)),
+];
+
+// Find the routes whose pattern matches the path
+// Returns the matches in table order with their decoded params
+function matchRoutes(path) {
+  const matches = [];
+  for (const candidate of routes) {
+    const result = candidate.regex.exec(path);
+    if (!result) continue;
+
+    const params = {};
+    candidate.paramNames.forEach((name, i) => {
+      try {
+        params[name] = decodeURIComponent(result[i + 1]);
+      } catch (e) {
+        console.warn('Failed to decode path param, using as-is:', result[i + 1], e);
+        params[name] = result[i + 1];
+      }
+    });
+    matches.push({ route: candidate, params });
+  }
+  return matches;
+}
+
+// HEAD gets the same status and headers as GET, without the body
+function stripBodyForHead(request, response) {
+  if (request.method !== 'HEAD' || !response.body) return response;
+  return new Response(null, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
 export async function onRequest(context) {
   const { request, env } = context;
   const url = new URL(request.url);
@@ -76,13 +394,40 @@ export async function onRequest(context) {
   // CORS headers
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Range, If-None-Match, If-Modified-Since, If-Range',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified, Content-Length, Content-Range, Accept-Ranges',
   };
 
-  // Handle OPTIONS requests
+  const matches = matchRoutes(path);
+  if (matches.length === 0) {
+    return stripBodyForHead(request, jsonResponse({ error: 'Not found', details: `Path ${path} does not exist` }, 404, corsHeaders));
+  }
+
+  const allowedMethods = [...new Set(matches.flatMap(match => match.route.methods))];
+
+  // Handle OPTIONS requests (CORS preflight) for any known path
   if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
+    const allow = [...allowedMethods, 'OPTIONS'].join(', ');
+    return new Response(null, {
+      status: 204,
+      headers: { ...corsHeaders, 'Access-Control-Allow-Methods': allow, 'Allow': allow },
+    });
+  }
+
+  const match = matches.find(candidate => candidate.route.methods.includes(request.method));
+  if (!match) {
+    console.warn(`❌ Method mismatch for ${path}:`, request.method);
+    return jsonResponse(
+      {
+        error: 'Method Not Allowed',
+        details: `Endpoint ${path} only accepts ${allowedMethods.join(', ')} requests, but received ${request.method}`,
+        allowedMethods: allowedMethods
+      },
+      405,
+      corsHeaders,
+      { 'Allow': allowedMethods.join(', ') }
+    );
   }
 
   try {
@@ -116,153 +461,35 @@ export async function onRequest(context) {
       );
     }
 
-    // Route handlers (using full path like HomeMadeDelights)
-    // Check for method mismatches first to return proper 405 errors
-    
-    if (path === '/api/upload') {
-      console.log('🔍 Upload endpoint - Received method:', request.method, 'Expected: POST');
-      if (request.method !== 'POST') {
-        console.warn('❌ Method mismatch for /api/upload:', request.method);
-        return new Response(
-          JSON.stringify({ 
-            error: 'Method Not Allowed',
-            details: `Endpoint /api/upload only accepts POST requests, but received ${request.method}`,
-            allowedMethods: ['POST']
-          }),
-          { 
-            status: 405, 
-            headers: { 
-              ...corsHeaders, 
-              'Content-Type': 'application/json',
-              'Allow': 'POST'
-            } 
-          }
-        );
-      }
-      console.log('✅ Method OK, proceeding with upload handler');
-      return handleUpload(request, r2Bucket, kvStore, corsHeaders);
-    } else if (path === '/api/gallery') {
-      if (request.method !== 'GET') {
-        return new Response(
-          JSON.stringify({ 
-            error: 'Method Not Allowed',
-            details: `Endpoint /api/gallery only accepts GET requests, but received ${request.method}`,
-            allowedMethods: ['GET']
-          }),
-          { 
-            status: 405, 
-            headers: { 
-              ...corsHeaders, 
-              'Content-Type': 'application/json',
-              'Allow': 'GET'
-            } 
-          }
-        );
-      }
-      return handleGetGallery(kvStore, r2Bucket, corsHeaders);
-    } else if (path === '/api/groups') {
-      if (request.method !== 'GET') {
-        return new Response(
-          JSON.stringify({ 
-            error: 'Method Not Allowed',
-            details: `Endpoint /api/groups only accepts GET requests, but received ${request.method}`,
-            allowedMethods: ['GET']
-          }),
-          { 
-            status: 405, 
-            headers: { 
-              ...corsHeaders, 
-              'Content-Type': 'application/json',
-              'Allow': 'GET'
-            } 
-          }
-        );
-      }
-      return handleGetGroups(kvStore, corsHeaders);
-    } else if (path.startsWith('/api/delete/')) {
-      if (request.method !== 'DELETE') {
-        const imageId = path.replace('/api/delete/', '');
-        return new Response(
-          JSON.stringify({ 
-            error: 'Method Not Allowed',
-            details: `Endpoint /api/delete/${imageId} only accepts DELETE requests, but received ${request.method}`,
-            allowedMethods: ['DELETE']
-          }),
-          { 
-            status: 405, 
-            headers: { 
-              ...corsHeaders, 
-              'Content-Type': 'application/json',
-              'Allow': 'DELETE'
-            } 
-          }
-        );
-      }
-      const imageId = path.replace('/api/delete/', '');
-      return handleDeleteImage(imageId, r2Bucket, kvStore, corsHeaders);
-    } else if (path.startsWith('/api/delete-group/')) {
-      if (request.method !== 'DELETE') {
-        const groupName = decodeURIComponent(path.replace('/api/delete-group/', ''));
-        return new Response(
-          JSON.stringify({ 
-            error: 'Method Not Allowed',
-            details: `Endpoint /api/delete-group/${groupName} only accepts DELETE requests, but received ${request.method}`,
-            allowedMethods: ['DELETE']
-          }),
-          { 
-            status: 405, 
-            headers: { 
-              ...corsHeaders, 
-              'Content-Type': 'application/json',
-              'Allow': 'DELETE'
-            } 
-          }
-        );
-      }
-      const groupName = decodeURIComponent(path.replace('/api/delete-group/', ''));
-      return handleDeleteGroup(groupName, r2Bucket, kvStore, corsHeaders);
-    } else if (path.startsWith('/api/image/')) {
-      if (request.method !== 'GET') {
-        return new Response(
-          JSON.stringify({ 
-            error: 'Method Not Allowed',
-            details: `Endpoint /api/image/* only accepts GET requests, but received ${request.method}`,
-            allowedMethods: ['GET']
-          }),
-          { 
-            status: 405, 
-            headers: { 
-              ...corsHeaders, 
-              'Content-Type': 'application/json',
-              'Allow': 'GET'
-            } 
-          }
-        );
-      }
-      // Extract the filename/path after /api/image/
-      // This can be a simple filename or a path like gallery-images/gallery-image/image-123.jpg
-      let filename = path.substring('/api/image/'.length);
-      
-      // Handle query parameters if any
-      if (filename.includes('?')) {
-        filename = filename.split('?')[0];
-      }
-      
-      // URL decode the filename to handle encoded characters
-      // This will properly decode paths like gallery-images/gallery-image/image-123.jpg
-      try {
-        filename = decodeURIComponent(filename);
-      } catch (e) {
-        console.warn('Failed to decode filename, using as-is:', filename, e);
-      }
-      
-      return handleGetImage(filename, r2Bucket, corsHeaders);
-    } else {
-      return new Response(
-        JSON.stringify({ error: 'Not found', details: `Path ${path} does not exist` }),
-        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+    const ctx = {
+      request,
+      env,
+      url,
+      params: match.params,
+      r2Bucket,
+      kvStore,
+      corsHeaders,
+      waitUntil: context.waitUntil ? context.waitUntil.bind(context) : () => {},
+      session: null,
+      role: null,
+    };
+    // Handlers record uploads, edits and deletions; the actor is the session's user unless given
+    ctx.audit = (action, target, details, actor) => recordAudit(kvStore, env, {
+      actor: actor || (ctx.session ? ctx.session.sub : null),
+      action,
+      target,
+      details,
+      ip: getClientIp(request)
+    });
+
+    if (match.route.role) {
+      const auth = await authorize(request, env, kvStore, match.route.role, corsHeaders);
+      if (auth.response) return stripBodyForHead(request, auth.response);
+      ctx.session = auth.session;
+      ctx.role = auth.role;
     }
+
+    return stripBodyForHead(request, await match.route.handler(ctx));
   } catch (error) {
     console.error('API Error:', error);
     return new Response(
@@ -272,431 +499,3372 @@ export async function onRequest(context) {
   }
 }
 
-// Upload handler
-async function handleUpload(request, r2Bucket, kvStore, corsHeaders) {
+// Login handler
+// Members log in with the shared GALLERY_PASSWORD, or with a username and password
+// stored under user:<username> in KV. Issues a signed session cookie.
+async function handleLogin(request, env, kvStore, corsHeaders) {
+  if (!env.GALLERY_PASSWORD || !env.SESSION_SECRET) {
+    const missingSecrets = [];
+    if (!env.GALLERY_PASSWORD) missingSecrets.push('GALLERY_PASSWORD');
+    if (!env.SESSION_SECRET) missingSecrets.push('SESSION_SECRET');
+    return jsonResponse({
+      error: 'Gallery login not configured',
+      details: `Missing environment variables: ${missingSecrets.join(', ')}`,
+      troubleshooting: [
+        '1. Go to Cloudflare Dashboard → Pages → Your Site → Settings → Environment variables',
+        '2. Add GALLERY_PASSWORD (the password members type into the gallery)',
+        '3. Add SESSION_SECRET (a long random string used to sign sessions)',
+        '4. Optionally add GALLERY_ADMIN_PASSWORD to log in as "admin" before any users exist',
+        '5. Mark them as encrypted, then save and REDEPLOY your site'
+      ].join('\n')
+    }, 500, corsHeaders);
+  }
+
+  let body;
   try {
-    // Check bindings first
-    if (!r2Bucket) {
-      return new Response(JSON.stringify({ 
-        error: 'R2 bucket binding not configured.',
-        details: 'Please configure R2 binding in Cloudflare Pages Settings → Functions.',
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid request', details: 'Expected a JSON body with a password field' }, 400, corsHeaders);
+  }
+
+  const username = typeof body?.username === 'string' ? body.username.trim().toLowerCase() : '';
+  const password = typeof body?.password === 'string' ? body.password : '';
+  if (!password) {
+    return jsonResponse({ error: 'Incorrect password' }, 401, corsHeaders);
+  }
+
+  let subject = null;
+  if (!username) {
+    if (timingSafeEqual(password, env.GALLERY_PASSWORD)) {
+      subject = 'member';
+    }
+  } else {
+    const userData = await kvStore.get(`user:${username}`);
+    if (userData) {
+      const user = JSON.parse(userData);
+      const passwordHash = await hashPassword(password, user.salt);
+      if (timingSafeEqual(passwordHash, user.passwordHash)) {
+        subject = username;
+      }
+    } else if (username === 'admin' && env.GALLERY_ADMIN_PASSWORD &&
+               timingSafeEqual(password, env.GALLERY_ADMIN_PASSWORD)) {
+      subject = 'admin';
     }
+  }
 
-    if (!kvStore) {
-      return new Response(JSON.stringify({ 
-        error: 'KV namespace binding not configured.',
-        details: 'Please configure GALLERY_SSDA binding in Cloudflare Pages Settings → Functions.',
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
+  if (!subject) {
+    console.warn('❌ Gallery login failed for', username || 'shared password');
+    return jsonResponse({ error: 'Incorrect password' }, 401, corsHeaders);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const session = { sub: subject, jti: crypto.randomUUID(), iat: now, exp: now + SESSION_TTL_SECONDS };
+  await kvStore.put(
+    `${SESSION_KEY_PREFIX}${session.jti}`,
+    JSON.stringify({ sub: subject, createdAt: new Date(now * 1000).toISOString() }),
+    { expirationTtl: SESSION_TTL_SECONDS }
+  );
+  const token = await signToken(session, env.SESSION_SECRET);
+  const role = await getSessionRole(session, kvStore, env);
+
+  console.log('✅ Gallery login succeeded:', subject, 'role:', role);
+
+  // The token is only sent as an HttpOnly cookie, never in the body
+  return jsonResponse(
+    { success: true, user: subject, role: role, expiresAt: new Date(session.exp * 1000).toISOString() },
+    200,
+    corsHeaders,
+    { 'Set-Cookie': buildSessionCookie(token, SESSION_TTL_SECONDS) }
+  );
+}
+
+// Logout handler (ends the session and clears the session cookie)
+async function handleLogout(request, env, kvStore, corsHeaders) {
+  const payload = await verifyToken(getSessionToken(request), env.SESSION_SECRET);
+  if (payload && !payload.typ && payload.jti) {
+    await kvStore.delete(`${SESSION_KEY_PREFIX}${payload.jti}`);
+    console.log('👋 Gallery logout:', payload.sub);
+  }
+
+  return jsonResponse(
+    { success: true },
+    200,
+    corsHeaders,
+    { 'Set-Cookie': buildSessionCookie('', 0) }
+  );
+}
+
+// Session status handler (lets the gallery page know whether it is logged in and with which role)
+async function handleGetSession(request, env, kvStore, corsHeaders) {
+  const session = await getSession(request, env, kvStore);
+  const role = await getSessionRole(session, kvStore, env);
+  if (!session || !role) {
+    return jsonResponse({ authenticated: false }, 200, corsHeaders);
+  }
+  return jsonResponse({
+    authenticated: true,
+    user: session.sub,
+    role: role,
+    expiresAt: new Date(session.exp * 1000).toISOString()
+  }, 200, corsHeaders);
+}
+
+// List users handler (admin only, never returns password hashes)
+async function handleGetUsers(kvStore, corsHeaders) {
+  try {
+    const list = await kvStore.list({ prefix: 'user:' });
+    const users = [];
+
+    for (const key of list.keys) {
+      const userData = await kvStore.get(key.name);
+      if (userData) {
+        const user = JSON.parse(userData);
+        users.push({ username: user.username, role: user.role, trusted: Boolean(user.trusted), createdAt: user.createdAt });
+      }
     }
 
-    const formData = await request.formData();
-    const group = formData.get('group') || 'Ungrouped';
-    const images = formData.getAll('images');
+    return jsonResponse({ users, sharedRole: await getSharedRole(kvStore) }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Get users error:', error);
+    return jsonResponse({ error: 'Failed to load users' }, 500, corsHeaders);
+  }
+}
 
-    console.log('📋 FormData received:', {
-      group: group,
-      imagesCount: images.length,
-      imageTypes: images.map(img => ({
-        type: typeof img,
-        constructor: img?.constructor?.name,
-        isFile: img instanceof File,
-        isBlob: img instanceof Blob,
-        name: img?.name
-      }))
-    });
+// Create or update user handler (admin only)
+// Body: { role, password, trusted } - password is required when creating a user;
+// uploads from trusted users skip the moderation queue
+async function handlePutUser(username, request, kvStore, corsHeaders, audit) {
+  try {
+    const normalizedName = username.trim().toLowerCase();
+    if (!/^[a-z0-9._-]{1,32}$/.test(normalizedName) || normalizedName === 'member') {
+      return jsonResponse({
+        error: 'Invalid username',
+        details: 'Usernames are 1-32 characters of letters, numbers, ".", "_" or "-" ("member" is reserved)'
+      }, 400, corsHeaders);
+    }
 
-    if (images.length === 0) {
-      return new Response(
-        JSON.stringify({ error: 'No images provided' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid request', details: 'Expected a JSON body' }, 400, corsHeaders);
     }
 
-    const uploadedImages = [];
+    const existingData = await kvStore.get(`user:${normalizedName}`);
+    const user = existingData ? JSON.parse(existingData) : { username: normalizedName, createdAt: new Date().toISOString() };
 
-    for (let i = 0; i < images.length; i++) {
-      const imageEntry = images[i];
-      
-      // Check if it's a valid file-like object
-      // In Cloudflare Workers, FormDataEntryValue can be string or File
-      if (!imageEntry) {
-        console.warn(`⚠️ Image ${i} is null or undefined`);
-        continue;
+    if (body.role !== undefined) {
+      if (!ROLES.includes(body.role)) {
+        return jsonResponse({ error: 'Invalid role', details: `Role must be one of: ${ROLES.join(', ')}` }, 400, corsHeaders);
       }
-      
-      // Skip if it's a string (not a file)
-      if (typeof imageEntry === 'string') {
-        console.warn(`⚠️ Image ${i} is a string, not a file. Skipping.`);
-        continue;
+      user.role = body.role;
+    }
+
+    if (body.trusted !== undefined) {
+      if (typeof body.trusted !== 'boolean') {
+        return jsonResponse({ error: 'Invalid request', details: 'trusted must be true or false' }, 400, corsHeaders);
       }
-      
-      // Check if it's a File or Blob
-      const isFile = imageEntry instanceof File;
-      const isBlob = imageEntry instanceof Blob;
-      
-      if (!isFile && !isBlob) {
-        console.error(`❌ Image ${i} is not a File or Blob:`, {
-          type: typeof imageEntry,
-          constructor: imageEntry.constructor?.name,
-          value: imageEntry
-        });
-        continue;
+      user.trusted = body.trusted;
+    }
+
+    if (body.password !== undefined) {
+      if (typeof body.password !== 'string' || body.password.length < 8) {
+        return jsonResponse({ error: 'Invalid password', details: 'Passwords must be at least 8 characters' }, 400, corsHeaders);
       }
-      
-      const imageFile = imageEntry; // Use for clarity
-      
-      console.log(`✅ Processing image ${i}:`, {
-        name: imageFile.name || 'unnamed',
-        type: imageFile.type || 'unknown',
-        size: imageFile.size || 0,
-        isFile: isFile,
-        isBlob: isBlob
-      });
+      user.salt = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+      user.passwordHash = await hashPassword(body.password, user.salt);
+    }
 
-      // Generate unique ID
-      const imageId = `${Date.now()}-${i}-${Math.random().toString(36).substring(2, 15)}`;
-      // Get file extension from name if available, otherwise guess from content type
-      let fileExtension = 'jpg';
-      if (imageFile.name) {
-        fileExtension = imageFile.name.split('.').pop() || 'jpg';
-      } else if (imageFile.type) {
-        // Guess extension from MIME type
-        const extMap = {
-          'image/jpeg': 'jpg',
-          'image/png': 'png',
-          'image/gif': 'gif',
-          'image/webp': 'webp',
-          'image/svg+xml': 'svg'
-        };
-        fileExtension = extMap[imageFile.type] || 'jpg';
-      }
-      const imageName = `image-${imageId}.${fileExtension}`;
-      // Store in R2 with gallery-imagessda/ directory structure
-      // Make sure we don't double-prefix
-      const r2Key = imageName.startsWith('gallery-imagessda/') 
-        ? imageName 
-        : `gallery-imagessda/${imageName}`;
-      
-      console.log('📝 Generated R2 key for upload:', r2Key);
+    if (!user.role || !user.passwordHash) {
+      return jsonResponse({ error: 'Invalid request', details: 'New users need both a role and a password' }, 400, corsHeaders);
+    }
 
-      // Convert File to ArrayBuffer (R2 requires ArrayBuffer/Blob/Stream)
-      let fileBody;
-      try {
-        if (imageFile && typeof imageFile.arrayBuffer === 'function') {
-          fileBody = await imageFile.arrayBuffer();
-          console.log('✅ Converted to ArrayBuffer, size:', fileBody.byteLength);
-        } else if (imageFile instanceof Blob) {
-          fileBody = await imageFile.arrayBuffer();
-        } else {
-          throw new Error('File object does not have arrayBuffer() method');
-        }
-      } catch (conversionError) {
-        console.error('File conversion error:', conversionError);
-        throw new Error('Failed to convert file to uploadable format: ' + conversionError.message);
-      }
+    await kvStore.put(`user:${normalizedName}`, JSON.stringify(user));
+    console.log('✅ Saved user:', normalizedName, 'role:', user.role);
+    await audit(existingData ? 'user.update' : 'user.create', normalizedName, {
+      role: user.role,
+      trusted: Boolean(user.trusted),
+      passwordChanged: body.password !== undefined
+    });
 
-      if (!fileBody) {
-        throw new Error('File body is null or undefined after conversion');
-      }
+    return jsonResponse({ success: true, user: { username: user.username, role: user.role, trusted: Boolean(user.trusted), createdAt: user.createdAt } }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Put user error:', error);
+    return jsonResponse({ error: 'Failed to save user' }, 500, corsHeaders);
+  }
+}
 
-      // Determine Content-Type
-      const contentType = imageFile.type || getContentTypeFromExtension(fileExtension);
+// Delete user handler (admin only, admins cannot delete themselves)
+async function handleDeleteUser(username, session, kvStore, corsHeaders, audit) {
+  try {
+    const normalizedName = username.trim().toLowerCase();
+    if (normalizedName === session.sub) {
+      return jsonResponse({ error: 'You cannot delete your own account' }, 400, corsHeaders);
+    }
 
-      console.log('📤 Uploading to R2 with key:', r2Key);
-      console.log('   Content-Type:', contentType, 'Size:', fileBody.byteLength);
-      console.log('   Full R2 path will be:', r2Key);
+    const userKey = `user:${normalizedName}`;
+    if (!(await kvStore.get(userKey))) {
+      return jsonResponse({ error: 'User not found' }, 404, corsHeaders);
+    }
 
-      // Upload to R2
-      await r2Bucket.put(r2Key, fileBody, {
-        httpMetadata: {
-          contentType: contentType,
-          cacheControl: 'public, max-age=31536000',
-        },
-      });
+    await kvStore.delete(userKey);
+    await audit('user.delete', normalizedName);
+    return jsonResponse({ success: true }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Delete user error:', error);
+    return jsonResponse({ error: 'Failed to delete user' }, 500, corsHeaders);
+  }
+}
+
+// Shared role handler (admin only) - sets the role for shared GALLERY_PASSWORD logins
+async function handlePutSharedRole(request, kvStore, corsHeaders, audit) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid request', details: 'Expected a JSON body with a role field' }, 400, corsHeaders);
+  }
+
+  if (!ROLES.includes(body?.role)) {
+    return jsonResponse({ error: 'Invalid role', details: `Role must be one of: ${ROLES.join(', ')}` }, 400, corsHeaders);
+  }
+
+  await kvStore.put('settings:shared-role', body.role);
+  await audit('settings.shared-role', null, { role: body.role });
+  return jsonResponse({ success: true, sharedRole: body.role }, 200, corsHeaders);
+}
+
+// Audit log
+// Uploads, edits and deletions append audit:<inverted ms>:<random>, so listing returns the newest
+// entries first. Each entry is { id, actor, action, target, timestamp, ip, details? }, where
+// action is '<kind>.<verb>' (image.upload, group.delete, ...) and target the image ID, group,
+// user or share it applies to. The key's metadata holds { action, actor } so filters can skip
+// entries without reading them. Entries expire after AUDIT_RETENTION_DAYS (default 365).
+const DEFAULT_AUDIT_RETENTION_DAYS = 365;
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 100;
+const AUDIT_SCAN_LIMIT = 1000; // keys checked per request when filters skip most entries
+
+function getAuditRetentionDays(env) {
+  const days = parseInt(env.AUDIT_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_AUDIT_RETENTION_DAYS;
+}
+
+function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP') ||
+    (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim() ||
+    null;
+}
+
+// Append an audit entry. Failing to write one is logged but never fails the action itself.
+async function recordAudit(kvStore, env, { actor, action, target, details, ip }) {
+  try {
+    const timestamp = new Date().toISOString();
+    const id = `${invertTimestamp(timestamp)}:${crypto.randomUUID().substring(0, 8)}`;
+    const entry = { id, actor: actor || 'anonymous', action, target: target ?? null, timestamp, ip };
+    if (details) entry.details = details;
+    await kvStore.put(`audit:${id}`, JSON.stringify(entry), {
+      expirationTtl: getAuditRetentionDays(env) * 24 * 60 * 60,
+      metadata: { action, actor: entry.actor }
+    });
+  } catch (error) {
+    console.error('Audit log error:', action, error);
+  }
+}
+
+// An action filter matches the action itself or, without a verb, every action of that kind
+function matchesAuditAction(action, filter) {
+  return action === filter || (!filter.includes('.') && action.startsWith(`${filter}.`));
+}
 
-      console.log('✅ R2 put completed:', r2Key);
+// Audit log handler (admin)
+// Query: action (e.g. image.delete, or image for every image action), actor, from and to (ISO
+// dates), cursor, limit. Returns { entries, nextCursor }, newest first. A page may hold a few more
+// entries than limit, and fewer when filters skip many entries; keep following nextCursor.
+async function handleGetAudit(url, kvStore, corsHeaders) {
+  try {
+    const params = url.searchParams;
+    const action = params.get('action');
+    const actor = params.get('actor');
+    const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || AUDIT_PAGE_SIZE, 1), AUDIT_MAX_PAGE_SIZE);
 
-      // Verify upload exists and has size > 0 (with delay like HomeMadeDelights)
-      await new Promise(resolve => setTimeout(resolve, 200));
-      const verify = await r2Bucket.get(r2Key);
-      if (!verify) {
-        console.error('❌ Upload verification failed - object not found:', r2Key);
-        throw new Error(`Upload verification failed for ${imageName}`);
+    const range = {};
+    for (const name of ['from', 'to']) {
+      if (!params.get(name)) continue;
+      const date = new Date(params.get(name));
+      if (isNaN(date.getTime())) {
+        return jsonResponse({ error: `Invalid ${name}`, details: `${name} must be an ISO 8601 date` }, 400, corsHeaders);
       }
-      if (verify.size === 0) {
-        console.error('❌ Upload verification failed - file size is 0:', r2Key);
-        throw new Error(`Upload verification failed - file size is 0 for ${imageName}`);
+      range[name] = invertTimestamp(date.toISOString());
+    }
+
+    // Newer entries have smaller keys: skip those after "to" and stop at the first one before "from".
+    // Both ends of the range share a key prefix, which narrows the listing.
+    let prefix = 'audit:';
+    if (range.from && range.to) {
+      let length = 0;
+      while (length < range.to.length && range.to[length] === range.from[length]) length++;
+      prefix += range.to.substring(0, length);
+    }
+
+    const entries = [];
+    let cursor = params.get('cursor') || undefined;
+    let scanned = 0;
+    let finished = false;
+    while (!finished && entries.length < limit && scanned < AUDIT_SCAN_LIMIT) {
+      const list = await kvStore.list({ prefix, cursor, limit });
+      scanned += list.keys.length;
+      for (const key of list.keys) {
+        const sortKey = key.name.split(':')[1];
+        if (range.to && sortKey < range.to) continue;
+        if (range.from && sortKey > range.from) {
+          finished = true;
+          break;
+        }
+        const metadata = key.metadata || {};
+        if (action && !(metadata.action && matchesAuditAction(metadata.action, action))) continue;
+        if (actor && metadata.actor !== actor) continue;
+
+        const entryData = await kvStore.get(key.name);
+        if (entryData) entries.push(JSON.parse(entryData));
       }
-      console.log('✅ Upload verified - object exists in R2:', r2Key, 'Size:', verify.size, 'bytes');
+      cursor = list.cursor;
+      if (list.list_complete) finished = true;
+    }
 
-      // Get public URL - encode the R2 key to handle special characters and slashes
-      const encodedR2Key = encodeURIComponent(r2Key).replace(/%2F/g, '/'); // Keep slashes unencoded for path structure
-      const imageUrl = `/api/image/${r2Key}`; // Use original r2Key, the API will handle encoding
+    return jsonResponse({ entries, nextCursor: finished ? null : cursor }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    return jsonResponse({ error: 'Failed to load audit log', details: error.message }, 500, corsHeaders);
+  }
+}
 
-      // Store metadata in KV
-      const metadata = {
-        id: imageId,
-        fileName: r2Key, // Store full R2 key including directory: gallery-imagessda/image-123.jpg
-        url: imageUrl,
-        group: group,
-        uploadedAt: new Date().toISOString(),
-        size: imageFile.size || fileBody.byteLength,
-        type: contentType,
-      };
+// Upload limits (gallery.js checks the same limits before sending, but the server is the authority)
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per file
+const MAX_FILES = 100; // files per request
+const MAX_REQUEST_SIZE = 100 * 1024 * 1024; // 100MB per request (Cloudflare's request body limit)
+
+// Image formats accepted by the gallery, identified by their magic bytes
+// SVG is deliberately not accepted because it can carry scripts
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', extension: 'jpg', matches: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+  { type: 'image/png', extension: 'png', matches: bytes => [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A].every((byte, i) => bytes[i] === byte) },
+  { type: 'image/gif', extension: 'gif', matches: bytes => asciiAt(bytes, 0, 6) === 'GIF87a' || asciiAt(bytes, 0, 6) === 'GIF89a' },
+  { type: 'image/webp', extension: 'webp', matches: bytes => asciiAt(bytes, 0, 4) === 'RIFF' && asciiAt(bytes, 8, 4) === 'WEBP' },
+];
+
+function asciiAt(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+// Detect the image format from the file contents (ignores the client's file name and MIME type)
+function sniffImageType(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 16));
+  if (bytes.length < 12) return null;
+  return IMAGE_SIGNATURES.find(signature => signature.matches(bytes)) || null;
+}
+
+// Validate one FormData entry and read its contents
+// Returns { ok: true, body, imageType } or { ok: false, reason }
+async function readImageEntry(imageEntry, i) {
+  // In Cloudflare Workers, FormDataEntryValue can be string or File
+  if (!imageEntry) {
+    console.warn(`⚠️ Image ${i} is null or undefined`);
+    return { ok: false, reason: 'Empty form field' };
+  }
+  if (typeof imageEntry === 'string' || !(imageEntry instanceof Blob)) {
+    console.warn(`⚠️ Image ${i} is not a file. Skipping.`);
+    return { ok: false, reason: 'Not a file' };
+  }
+  if (imageEntry.size === 0) {
+    return { ok: false, reason: 'File is empty' };
+  }
+  if (imageEntry.size > MAX_FILE_SIZE) {
+    return { ok: false, reason: `File is larger than ${MAX_FILE_SIZE / 1024 / 1024}MB` };
+  }
+
+  const body = await imageEntry.arrayBuffer();
+  const imageType = sniffImageType(body);
+  if (!imageType) {
+    console.warn(`⚠️ Image ${i} failed content check:`, imageEntry.name, imageEntry.type);
+    return { ok: false, reason: 'Unsupported file type (only JPEG, PNG, GIF and WebP images are allowed)' };
+  }
+
+  return { ok: true, body, imageType };
+}
+
+// Downscaled variants generated by gallery.js before upload
+// Sent as "thumb-<i>" / "medium-<i>" form fields next to the i-th original
+const IMAGE_VARIANT_SIZES = ['thumb', 'medium'];
+
+// R2 key for a variant, stored next to the original:
+// gallery-imagessda/image-123.jpg -> gallery-imagessda/image-123.thumb.jpg
+function getVariantKey(r2Key, size, extension) {
+  return `${r2Key.replace(/\.[^./]+$/, '')}.${size}.${extension}`;
+}
+
+// Extract the image ID from an R2 key like gallery-imagessda/image-<id>.jpg
+function getImageIdFromKey(r2Key) {
+  const match = /(?:^|\/)image-(.+?)(?:\.(?:thumb|medium))?\.[a-z0-9]+$/i.exec(r2Key);
+  return match ? match[1] : null;
+}
+
+// All R2 keys that belong to an image (the original plus its variants)
+function getImageObjectKeys(metadata) {
+  return [metadata.fileName, ...Object.values(metadata.variants || {})];
+}
+
+// Photo metadata
+// Phone photos carry EXIF (GPS position, camera, capture time), XMP and IPTC blocks. These are
+// removed from every stored file; only the EXIF orientation is kept so photos are not shown
+// rotated. GIFs have no EXIF and are stored as they are.
+const EXIF_ORIENTATION_TAG = 0x0112;
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0]; // "Exif\0\0"
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'tIME', 'eXIf'];
+
+function concatBytes(chunks) {
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+function startsWithBytes(bytes, prefix, offset = 0) {
+  return prefix.every((byte, i) => bytes[offset + i] === byte);
+}
+
+// CRC-32 (IEEE), as used by PNG chunks and ZIP archives
+let crc32Table = null;
+function crc32(bytes, crc = 0) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  crc = ~crc;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+// Orientation (1-8) from a TIFF structure (the body of an EXIF block), or 1 if it has none
+function readExifOrientation(tiff) {
+  if (tiff.length < 8) return 1;
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const littleEndian = tiff[0] === 0x49 && tiff[1] === 0x49; // "II"
+  if (!littleEndian && !(tiff[0] === 0x4D && tiff[1] === 0x4D)) return 1; // "MM"
+  const ifdOffset = view.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > tiff.length) return 1;
+  const entryCount = view.getUint16(ifdOffset, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+      const orientation = view.getUint16(entry + 8, littleEndian);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+// A TIFF structure holding nothing but the orientation tag
+function buildOrientationExif(orientation) {
+  const tiff = new Uint8Array(26);
+  const view = new DataView(tiff.buffer);
+  tiff.set([0x4D, 0x4D, 0x00, 0x2A]); // big-endian TIFF header
+  view.setUint32(4, 8); // first IFD
+  view.setUint16(8, 1); // one entry
+  view.setUint16(10, EXIF_ORIENTATION_TAG);
+  view.setUint16(12, 3); // SHORT
+  view.setUint32(14, 1); // count
+  view.setUint16(18, orientation);
+  view.setUint32(22, 0); // no next IFD
+  return tiff;
+}
+
+// JPEG: drop APP1 (EXIF/XMP), APP13 (IPTC), COM and the other application segments except
+// JFIF (APP0), ICC profiles (APP2) and Adobe color info (APP14), plus anything after the end
+// of the image (phones append extra images there, each with its own EXIF)
+function stripJpegMetadata(bytes) {
+  const kept = [bytes.subarray(0, 2)];
+  let orientation = 1;
+  let pos = 2;
+  while (pos + 2 <= bytes.length) {
+    if (bytes[pos] !== 0xFF) return null;
+    const marker = bytes[pos + 1];
+    if (marker === 0xFF) { // fill byte
+      pos++;
+      continue;
+    }
+    if (marker === 0xD9) { // end of image without a scan
+      kept.push(bytes.subarray(pos, pos + 2));
+      break;
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { // markers without a length
+      kept.push(bytes.subarray(pos, pos + 2));
+      pos += 2;
+      continue;
+    }
+    if (pos + 4 > bytes.length) return null;
+    if (marker === 0xDA) { // start of scan: copy the image data up to the end-of-image marker
+      let end = pos + 2;
+      while (end + 1 < bytes.length && !(bytes[end] === 0xFF && bytes[end + 1] === 0xD9)) end++;
+      kept.push(bytes.subarray(pos, Math.min(end + 2, bytes.length)));
+      break;
+    }
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    if (length < 2 || pos + 2 + length > bytes.length) return null;
+    const segment = bytes.subarray(pos, pos + 2 + length);
+    const data = segment.subarray(4);
+    pos += 2 + length;
+
+    if (marker === 0xE1) {
+      if (startsWithBytes(data, EXIF_HEADER) && orientation === 1) {
+        orientation = readExifOrientation(data.subarray(EXIF_HEADER.length));
+        if (orientation !== 1) {
+          const exif = concatBytes([new Uint8Array(EXIF_HEADER), buildOrientationExif(orientation)]);
+          kept.push(new Uint8Array([0xFF, 0xE1, (exif.length + 2) >> 8, (exif.length + 2) & 0xFF]), exif);
+        }
+      }
+      continue;
+    }
+    const isIccProfile = marker === 0xE2 && asciiAt(data, 0, 11) === 'ICC_PROFILE';
+    if ((marker >= 0xE1 && marker <= 0xEF && marker !== 0xEE && !isIccProfile) || marker === 0xFE) continue;
+    kept.push(segment);
+  }
+  return concatBytes(kept);
+}
+
+function buildPngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set([...type].map(char => char.charCodeAt(0)), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// PNG: drop text, time and eXIf chunks (an orientation-only eXIf replaces the original)
+function stripPngMetadata(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const kept = [bytes.subarray(0, 8)];
+  let pos = 8;
+  while (pos + 12 <= bytes.length) {
+    const length = view.getUint32(pos);
+    const type = asciiAt(bytes, pos + 4, 4);
+    if (pos + 12 + length > bytes.length) return null;
+    const chunk = bytes.subarray(pos, pos + 12 + length);
+    pos += 12 + length;
+
+    if (type === 'eXIf') {
+      const orientation = readExifOrientation(chunk.subarray(8, 8 + length));
+      if (orientation !== 1) kept.push(buildPngChunk('eXIf', buildOrientationExif(orientation)));
+    } else if (!PNG_METADATA_CHUNKS.includes(type)) {
+      kept.push(chunk);
+    }
+    if (type === 'IEND') break;
+  }
+  return concatBytes(kept);
+}
+
+function buildWebpChunk(type, data) {
+  const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+  chunk.set([...type].map(char => char.charCodeAt(0)));
+  new DataView(chunk.buffer).setUint32(4, data.length, true);
+  chunk.set(data, 8);
+  return chunk;
+}
+
+// WebP: drop the EXIF and XMP chunks of the extended format and clear their VP8X flags
+// (an orientation-only EXIF chunk replaces the original). Simple WebP files have no metadata.
+function stripWebpMetadata(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const kept = [];
+  let vp8x = null;
+  let hasExif = false;
+  let pos = 12;
+  while (pos + 8 <= bytes.length) {
+    const type = asciiAt(bytes, pos, 4);
+    const length = view.getUint32(pos + 4, true);
+    const end = pos + 8 + length + (length % 2);
+    if (pos + 8 + length > bytes.length) return null;
+    let chunk = bytes.subarray(pos, Math.min(end, bytes.length));
+    pos = end;
+
+    if (type === 'EXIF') {
+      let tiff = chunk.subarray(8, 8 + length);
+      if (startsWithBytes(tiff, EXIF_HEADER)) tiff = tiff.subarray(EXIF_HEADER.length);
+      const orientation = readExifOrientation(tiff);
+      if (orientation !== 1) {
+        kept.push(buildWebpChunk('EXIF', buildOrientationExif(orientation)));
+        hasExif = true;
+      }
+    } else if (type !== 'XMP ') {
+      if (type === 'VP8X') {
+        chunk = chunk.slice();
+        vp8x = chunk;
+      }
+      kept.push(chunk);
+    }
+  }
+  if (vp8x) {
+    vp8x[8] = (vp8x[8] & ~0x0C) | (hasExif ? 0x08 : 0); // 0x08 = EXIF, 0x04 = XMP
+  }
+
+  const body = concatBytes(kept);
+  const header = new Uint8Array(12);
+  header.set(bytes.subarray(0, 4));
+  new DataView(header.buffer).setUint32(4, body.length + 4, true);
+  header.set(bytes.subarray(8, 12), 8);
+  return concatBytes([header, body]);
+}
+
+// Remove location and device metadata from an image
+// Returns { body, changed, removed } where removed is the number of bytes taken out.
+// Files that cannot be parsed are returned as they are.
+function stripImageMetadata(buffer, imageType) {
+  const bytes = new Uint8Array(buffer);
+  const strippers = {
+    'image/jpeg': stripJpegMetadata,
+    'image/png': stripPngMetadata,
+    'image/webp': stripWebpMetadata,
+  };
+  const strip = strippers[imageType.type];
+  const stripped = strip ? strip(bytes) : null;
+  if (!stripped) {
+    if (strip) console.warn('⚠️ Could not parse image to strip metadata:', imageType.type);
+    return { body: buffer, changed: false, removed: 0 };
+  }
+  const changed = stripped.length !== bytes.length || stripped.some((byte, i) => byte !== bytes[i]);
+  return changed
+    ? { body: stripped.buffer, changed, removed: bytes.length - stripped.length }
+    : { body: buffer, changed, removed: 0 };
+}
+
+// Strip the metadata of an object already stored in R2, rewriting it only if something was removed
+// Returns { size, changed, removed, sha256, storedSha256 }, or null if the object does not exist
+async function scrubStoredImage(r2Bucket, r2Key, dryRun = false) {
+  const object = await r2Bucket.get(r2Key);
+  if (!object) return null;
+  const buffer = await object.arrayBuffer();
+  const sha256 = await getContentHash(buffer);
+  const imageType = sniffImageType(buffer);
+  if (!imageType) return { size: buffer.byteLength, changed: false, removed: 0, sha256, storedSha256: sha256 };
+
+  const { body, changed, removed } = stripImageMetadata(buffer, imageType);
+  if (changed && !dryRun) {
+    await r2Bucket.put(r2Key, body, {
+      httpMetadata: object.httpMetadata,
+      customMetadata: object.customMetadata,
+    });
+  }
+  const storedSha256 = changed ? await getContentHash(body) : sha256;
+  return { size: body.byteLength, changed, removed, sha256, storedSha256 };
+}
+
+// Duplicate detection
+// Every image records the SHA-256 of the file as it was uploaded (sha256, what gallery.js hashes
+// before upload) and, when stripping metadata changed it, of the stored file (storedSha256).
+// hash:<sha>:<id> keys map both to the image, one key per image so concurrent uploads never clash.
+// Trashed images keep their keys until they are purged, but only gallery images count as duplicates.
+// Images linked into another group share the original's R2 objects and hashes; every record that
+// uses an object has an object:<encoded fileName>:<id> key, so purging one finds the others.
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+async function getContentHash(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function getHashKeys(metadata) {
+  return [...new Set([metadata.sha256, metadata.storedSha256].filter(Boolean))]
+    .map(sha256 => `hash:${sha256}:${metadata.id}`);
+}
+
+// Every record (gallery or trash) with this hash
+async function listImagesByHash(kvStore, sha256) {
+  const prefix = `hash:${sha256}:`;
+  const images = [];
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix, cursor });
+    for (const key of list.keys) {
+      const metadataStr = await kvStore.get(`image:${key.name.substring(prefix.length)}`);
+      if (metadataStr) images.push(JSON.parse(metadataStr));
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return images;
+}
+
+// The gallery images with this hash, the ones in the given group first
+async function findDuplicates(kvStore, sha256, group) {
+  const images = (await listImagesByHash(kvStore, sha256)).filter(metadata => !metadata.deletedAt);
+  return images.sort((a, b) => (b.group === group) - (a.group === group));
+}
+
+// Per-file result for a file that is already in the gallery
+function getDuplicateResult(name, duplicates, group) {
+  const duplicateOf = duplicates[0];
+  const sameGroup = duplicateOf.group === group;
+  return {
+    name,
+    status: 'duplicate',
+    reason: sameGroup ? `Already in ${group}` : `Already in the gallery (${duplicateOf.group})`,
+    duplicateOf,
+    sameGroup
+  };
+}
+
+function getObjectRefPrefix(fileName) {
+  return `object:${encodeURIComponent(fileName)}:`;
+}
+
+function getObjectRefKey(metadata) {
+  return `${getObjectRefPrefix(metadata.fileName)}${metadata.id}`;
+}
+
+// Whether another record still uses this image's R2 objects (it was linked into another group)
+async function hasSharedObjects(kvStore, metadata) {
+  const list = await kvStore.list({ prefix: getObjectRefPrefix(metadata.fileName), limit: 2 });
+  return list.keys.some(key => key.name !== getObjectRefKey(metadata));
+}
+
+// Image details
+// Optional text stored with an image: caption and photographer credit are shown in the slideshow,
+// alt is the image's alternative text and tags are lower-cased keywords
+const IMAGE_TEXT_FIELDS = { caption: 500, alt: 250, credit: 100 }; // field -> max length
+const IMAGE_DETAIL_FIELDS = [...Object.keys(IMAGE_TEXT_FIELDS), 'tags'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Validate a partial set of details. tags may be a list or a comma separated string.
+// Returns { details } with the normalized values (null clears a field) or { error }
+function parseImageDetails(input) {
+  const details = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!IMAGE_DETAIL_FIELDS.includes(field)) {
+      return { error: `Unknown field "${field}" (allowed: ${IMAGE_DETAIL_FIELDS.join(', ')})` };
+    }
+    if (value === null || value === '') {
+      details[field] = null;
+      continue;
+    }
+
+    if (field === 'tags') {
+      const rawTags = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(rawTags) || rawTags.some(tag => typeof tag !== 'string')) {
+        return { error: 'tags must be a list of strings' };
+      }
+      const tags = [...new Set(rawTags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+      if (tags.length > MAX_TAGS) {
+        return { error: `At most ${MAX_TAGS} tags are allowed` };
+      }
+      const longTag = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+      if (longTag) {
+        return { error: `Tag "${longTag}" is longer than ${MAX_TAG_LENGTH} characters` };
+      }
+      details.tags = tags.length > 0 ? tags : null;
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    const text = value.trim();
+    if (text.length > IMAGE_TEXT_FIELDS[field]) {
+      return { error: `${field} must be at most ${IMAGE_TEXT_FIELDS[field]} characters` };
+    }
+    details[field] = text || null;
+  }
+  return { details };
+}
+
+// Apply parsed details to a metadata record (null removes the field)
+function applyImageDetails(metadata, details) {
+  const updated = { ...metadata };
+  for (const [field, value] of Object.entries(details)) {
+    if (value === null) {
+      delete updated[field];
+    } else {
+      updated[field] = value;
+    }
+  }
+  return updated;
+}
+
+// Store one validated image in R2 and its metadata in KV
+// variants: optional { thumb: { body, imageType }, medium: { body, imageType } }
+// Returns the metadata record
+async function storeImage(r2Bucket, kvStore, { body: original, sha256, imageType, group, variants = {}, width, height, details = {}, uploadedBy, pending }, i) {
+  const imageId = generateImageId(i);
+  const { body, changed, removed } = stripImageMetadata(original, imageType);
+  if (changed) console.log('🧹 Removed', removed, 'bytes of photo metadata');
+  // The extension always comes from the sniffed content, never from the client's file name
+  const imageName = `image-${imageId}.${imageType.extension}`;
+  // Store in R2 with gallery-imagessda/ directory structure
+  const r2Key = `gallery-imagessda/${imageName}`;
+
+  console.log('📤 Uploading to R2 with key:', r2Key);
+  console.log('   Content-Type:', imageType.type, 'Size:', body.byteLength);
+
+  // Upload to R2
+  await r2Bucket.put(r2Key, body, {
+    httpMetadata: {
+      contentType: imageType.type,
+      cacheControl: 'public, max-age=31536000',
+    },
+  });
+
+  console.log('✅ R2 put completed:', r2Key);
+
+  // Verify upload exists and has size > 0 (with delay like HomeMadeDelights)
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const verify = await r2Bucket.head(r2Key);
+  if (!verify) {
+    console.error('❌ Upload verification failed - object not found:', r2Key);
+    throw new Error(`Upload verification failed for ${imageName}`);
+  }
+  if (verify.size === 0) {
+    console.error('❌ Upload verification failed - file size is 0:', r2Key);
+    throw new Error(`Upload verification failed - file size is 0 for ${imageName}`);
+  }
+  console.log('✅ Upload verified - object exists in R2:', r2Key, 'Size:', verify.size, 'bytes');
+
+  return saveImageRecord(r2Bucket, kvStore, {
+    imageId,
+    r2Key,
+    imageType,
+    sha256: sha256 || await getContentHash(original),
+    storedSha256: changed ? await getContentHash(body) : undefined,
+    size: body.byteLength,
+    group,
+    variants,
+    width,
+    height,
+    details,
+    uploadedBy,
+    pending
+  });
+}
+
+// Generate a unique image ID
+function generateImageId(i = 0) {
+  return `${Date.now()}-${i}-${Math.random().toString(36).substring(2, 15)}`;
+}
+
+// Store the variants and metadata for an original that is already in R2
+// Used by both the single-request upload and the multipart upload flow
+// pending images wait in the moderation queue instead of joining the gallery
+async function saveImageRecord(r2Bucket, kvStore, { imageId, r2Key, imageType, sha256, storedSha256, size, group, variants = {}, width, height, details = {}, uploadedBy, pending }) {
+  // Store downscaled variants under sibling keys
+  const variantKeys = {};
+  for (const size of IMAGE_VARIANT_SIZES) {
+    const variant = variants[size];
+    if (!variant) continue;
+    const variantKey = getVariantKey(r2Key, size, variant.imageType.extension);
+    // Canvas output has no EXIF, but the variants come from the client so they are checked too
+    await r2Bucket.put(variantKey, stripImageMetadata(variant.body, variant.imageType).body, {
+      httpMetadata: {
+        contentType: variant.imageType.type,
+        cacheControl: 'public, max-age=31536000',
+      },
+    });
+    variantKeys[size] = variantKey;
+    console.log(`✅ Stored ${size} variant:`, variantKey, 'Size:', variant.body.byteLength);
+  }
+
+  // Store metadata in KV
+  const metadata = applyImageDetails({
+    id: imageId,
+    fileName: r2Key, // Store full R2 key including directory: gallery-imagessda/image-123.jpg
+    url: `/api/image/${r2Key}`,
+    group: group,
+    uploadedAt: new Date().toISOString(),
+    size: size,
+    type: imageType.type,
+    variants: variantKeys, // { thumb?: r2Key, medium?: r2Key }
+    metadataStripped: true, // EXIF/XMP/IPTC removed (see stripImageMetadata)
+    sha256: sha256, // of the file as uploaded (see getHashKeys)
+    uploadedBy: uploadedBy,
+    status: pending ? 'pending' : 'approved',
+  }, details);
+  if (storedSha256 && storedSha256 !== sha256) {
+    metadata.storedSha256 = storedSha256;
+  }
+  if (width > 0 && height > 0) {
+    metadata.width = width;
+    metadata.height = height;
+  }
+
+  await kvStore.put(`image:${imageId}`, JSON.stringify(metadata));
+  await kvStore.put(getObjectRefKey(metadata), imageId);
+  for (const key of getHashKeys(metadata)) {
+    await kvStore.put(key, imageId);
+  }
+
+  // Group membership is the image's own index keys, so concurrent uploads never overwrite each other
+  if (pending) {
+    await queueForReview(kvStore, metadata);
+  } else {
+    await publishImage(kvStore, metadata);
+  }
+
+  return metadata;
+}
+
+// Upload handler
+// Responds with a per-file results list:
+// { index, name, status: 'accepted' | 'rejected' | 'duplicate', reason?, image?, duplicateOf?, sameGroup? }
+async function handleUpload(request, session, role, r2Bucket, kvStore, corsHeaders, audit) {
+  try {
+    // Check bindings first
+    if (!r2Bucket) {
+      return new Response(JSON.stringify({ 
+        error: 'R2 bucket binding not configured.',
+        details: 'Please configure R2 binding in Cloudflare Pages Settings → Functions.',
+      }), {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    if (!kvStore) {
+      return new Response(JSON.stringify({ 
+        error: 'KV namespace binding not configured.',
+        details: 'Please configure GALLERY_SSDA binding in Cloudflare Pages Settings → Functions.',
+      }), {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Reject oversized requests before reading the body
+    const contentLength = Number(request.headers.get('Content-Length') || 0);
+    if (contentLength > MAX_REQUEST_SIZE) {
+      return jsonResponse({
+        error: 'Request too large',
+        details: `Uploads are limited to ${MAX_REQUEST_SIZE / 1024 / 1024}MB per request. Please upload fewer images at a time.`
+      }, 413, corsHeaders);
+    }
+
+    const formData = await request.formData();
+    const group = (formData.get('group') || '').toString().trim() || 'Ungrouped';
+    const images = formData.getAll('images');
+
+    console.log('📋 FormData received:', { group: group, imagesCount: images.length });
+
+    if (images.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'No images provided' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    if (images.length > MAX_FILES) {
+      return jsonResponse({
+        error: 'Too many files',
+        details: `A maximum of ${MAX_FILES} images can be uploaded at once (received ${images.length})`
+      }, 400, corsHeaders);
+    }
+
+    const uploadedImages = [];
+    const results = [];
+    let totalBytes = 0;
+    const pending = await needsReview(kvStore, session, role);
+
+    for (let i = 0; i < images.length; i++) {
+      const imageEntry = images[i];
+      const name = (imageEntry && typeof imageEntry !== 'string' && imageEntry.name) || `file ${i + 1}`;
+
+      if (imageEntry instanceof Blob && totalBytes + imageEntry.size > MAX_REQUEST_SIZE) {
+        results.push({ index: i, name, status: 'rejected', reason: `Request exceeds ${MAX_REQUEST_SIZE / 1024 / 1024}MB total` });
+        continue;
+      }
+
+      const entry = await readImageEntry(imageEntry, i);
+      if (!entry.ok) {
+        results.push({ index: i, name, status: 'rejected', reason: entry.reason });
+        continue;
+      }
+      totalBytes += entry.body.byteLength;
+
+      console.log(`✅ Processing image ${i}:`, { name, type: entry.imageType.type, size: entry.body.byteLength });
+
+      // Optional downscaled variants for this file (rejected variants are dropped, the original is kept)
+      const variants = {};
+      for (const size of IMAGE_VARIANT_SIZES) {
+        const variantEntry = formData.get(`${size}-${i}`);
+        if (!variantEntry) continue;
+        const variant = await readImageEntry(variantEntry, `${i} (${size})`);
+        if (variant.ok) {
+          variants[size] = variant;
+          totalBytes += variant.body.byteLength;
+        } else {
+          console.warn(`⚠️ Ignoring ${size} variant for image ${i}:`, variant.reason);
+        }
+      }
+      const width = parseInt(formData.get(`width-${i}`), 10) || 0;
+      const height = parseInt(formData.get(`height-${i}`), 10) || 0;
+
+      // Optional caption-<i>, alt-<i>, tags-<i> (comma separated) and credit-<i> fields
+      const detailsInput = {};
+      for (const field of IMAGE_DETAIL_FIELDS) {
+        const value = formData.get(`${field}-${i}`);
+        if (value !== null) detailsInput[field] = value.toString();
+      }
+      const { details, error: detailsError } = parseImageDetails(detailsInput);
+      if (detailsError) {
+        results.push({ index: i, name, status: 'rejected', reason: detailsError });
+        continue;
+      }
+
+      // Files already in the gallery are not stored again; gallery.js offers to link them instead
+      const sha256 = await getContentHash(entry.body);
+      const duplicates = await findDuplicates(kvStore, sha256, group);
+      if (duplicates.length > 0) {
+        results.push({ index: i, ...getDuplicateResult(name, duplicates, group) });
+        continue;
+      }
+
+      const metadata = await storeImage(r2Bucket, kvStore, {
+        body: entry.body,
+        sha256,
+        imageType: entry.imageType,
+        group,
+        variants,
+        width,
+        height,
+        details,
+        uploadedBy: session.sub,
+        pending
+      }, i);
+      uploadedImages.push(metadata);
+      results.push({ index: i, name, status: 'accepted', image: metadata });
+    }
+
+    console.log('✅ Upload complete:', {
+      imagesUploaded: uploadedImages.length,
+      imagesRejected: results.length - uploadedImages.length,
+      uploadedImageIds: uploadedImages.map(img => img.id)
+    });
+    await audit('image.upload', group, {
+      imageIds: uploadedImages.map(img => img.id),
+      rejected: results.filter(result => result.status === 'rejected').length,
+      duplicates: results.filter(result => result.status === 'duplicate').length
+    });
+    
+    if (uploadedImages.length === 0 && !results.some(result => result.status === 'duplicate')) {
+      console.error('⚠️ WARNING: No images were successfully uploaded!');
+      return new Response(
+        JSON.stringify({ 
+          success: false, 
+          error: 'No images were accepted',
+          details: results.map(result => `${result.name}: ${result.reason}`).join('\n'),
+          images: [],
+          results: results
+        }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, images: uploadedImages, results: results }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Upload error:', error);
+    return new Response(
+      JSON.stringify({ 
+        error: 'Upload failed',
+        details: error.message || 'An unexpected error occurred during upload',
+        troubleshooting: error.message && error.message.includes('binding') 
+          ? 'Check R2 binding: gallery-imagessda and KV binding: GALLERY_SSDA'
+          : 'Please check your network connection and try again. If the problem persists, check the browser console for more details.'
+      }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Multipart (resumable) uploads
+// gallery.js uploads each file in parts through R2's multipart API:
+//   POST   /api/uploads                     start an upload, returns { uploadId, partSize }
+//   PUT    /api/uploads/:id/parts/:part     upload one part (raw bytes, parts numbered from 1)
+//   GET    /api/uploads/:id                 list the finished parts, used to resume after a network drop
+//   POST   /api/uploads/:id/complete        assemble the parts (optionally with thumb/medium variants)
+//   DELETE /api/uploads/:id                 abort the upload
+// Upload state lives in KV under upload-session:<id>, including the list of finished parts (a
+// single key, because KV lists are eventually consistent and could miss a part that just finished;
+// gallery.js sends a file's parts one at a time). /complete first claims the upload by writing
+// upload-result:<id>, then replaces the claim with its answer and keeps that for a while, so a
+// retried or simultaneous /complete gets the same answer instead of assembling the file again.
+// Files have the same MAX_FILE_SIZE limit as single-request uploads, so with R2's 5MB minimum part
+// size a file has at most two parts: what this buys is that a dropped connection costs the part
+// in flight rather than the whole batch, not support for larger files.
+const UPLOAD_PART_SIZE = 5 * 1024 * 1024; // R2 requires 5MB parts (except the last one)
+const UPLOAD_SESSION_TIMEOUT_MS = 24 * 60 * 60 * 1000; // Abandoned uploads are aborted after 24 hours
+const UPLOAD_RESULT_TTL_SECONDS = 60 * 60; // How long a finished upload's answer is kept
+const UPLOAD_CLAIM_TTL_SECONDS = 60; // KV's shortest expiry; frees an upload whose /complete crashed
+
+// Load an upload session and check that it belongs to the current user
+// Returns { upload } or { response }
+async function getUploadSession(kvStore, uploadId, session, corsHeaders) {
+  const uploadData = await kvStore.get(`upload-session:${uploadId}`);
+  if (!uploadData) {
+    return { response: jsonResponse({ error: 'Upload not found', details: 'The upload may have expired or been aborted' }, 404, corsHeaders) };
+  }
+  const upload = JSON.parse(uploadData);
+  if (upload.owner !== session.sub) {
+    return { response: jsonResponse({ error: 'Forbidden', details: 'This upload was started by another user' }, 403, corsHeaders) };
+  }
+  return { upload };
+}
+
+// Finished parts of an upload, sorted by part number
+function getUploadParts(upload) {
+  return [...(upload.parts || [])].sort((a, b) => a.partNumber - b.partNumber);
+}
+
+async function deleteUploadSession(kvStore, uploadId) {
+  await kvStore.delete(`upload-session:${uploadId}`);
+}
+
+// Claim an upload for one /complete. Returns the claim ID, or null if another request's claim
+// replaced this one. KV has no compare-and-set, so two requests arriving at the same moment can
+// still both get a claim; R2 then only lets one of them complete the multipart upload.
+async function claimUpload(kvStore, upload) {
+  const claimId = crypto.randomUUID();
+  await kvStore.put(
+    `upload-result:${upload.uploadId}`,
+    JSON.stringify({ owner: upload.owner, completing: true, claimId }),
+    { expirationTtl: UPLOAD_CLAIM_TTL_SECONDS }
+  );
+  const current = await kvStore.get(`upload-result:${upload.uploadId}`);
+  return current && JSON.parse(current).claimId === claimId ? claimId : null;
+}
+
+// Give up a claim after a failure so that a retry can complete the upload
+// Another request's claim or answer is left alone
+async function releaseUpload(kvStore, uploadId, claimId) {
+  const current = await kvStore.get(`upload-result:${uploadId}`);
+  if (current && JSON.parse(current).claimId === claimId) {
+    await kvStore.delete(`upload-result:${uploadId}`);
+  }
+}
+
+// Answer /complete and keep the answer for retries whose first response was lost
+// The answer replaces the claim before the session is deleted, so one of them always exists
+async function finishUpload(kvStore, upload, data, status, corsHeaders) {
+  await kvStore.put(
+    `upload-result:${upload.uploadId}`,
+    JSON.stringify({ owner: upload.owner, status, data }),
+    { expirationTtl: UPLOAD_RESULT_TTL_SECONDS }
+  );
+  await deleteUploadSession(kvStore, upload.uploadId);
+  return jsonResponse(data, status, corsHeaders);
+}
+
+// The answer of an upload that a /complete has claimed or finished, or null
+// While that request is still working, the caller is asked to try again shortly
+async function getFinishedUpload(kvStore, uploadId, session, corsHeaders) {
+  const resultData = await kvStore.get(`upload-result:${uploadId}`);
+  if (!resultData) return null;
+  const { owner, completing, status, data } = JSON.parse(resultData);
+  if (owner !== session.sub) return null;
+  if (completing) {
+    return jsonResponse(
+      { error: 'Upload is being completed', details: 'Try again in a few seconds' },
+      503,
+      corsHeaders,
+      { 'Retry-After': '2' }
+    );
+  }
+  return jsonResponse(data, status, corsHeaders);
+}
+
+// Abort multipart uploads that were started more than UPLOAD_SESSION_TIMEOUT_MS ago
+// Runs in the background whenever a new upload starts
+async function cleanupStaleUploads(r2Bucket, kvStore) {
+  const cutoff = Date.now() - UPLOAD_SESSION_TIMEOUT_MS;
+  let aborted = 0;
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'upload-session:', cursor });
+    for (const key of list.keys) {
+      const uploadData = await kvStore.get(key.name);
+      if (!uploadData) continue;
+      const upload = JSON.parse(uploadData);
+      if (new Date(upload.createdAt).getTime() > cutoff) continue;
+
+      try {
+        await r2Bucket.resumeMultipartUpload(upload.key, upload.r2UploadId).abort();
+      } catch (error) {
+        console.warn('⚠️ Could not abort stale upload (it may already be gone):', upload.uploadId, error.message);
+      }
+      await deleteUploadSession(kvStore, upload.uploadId);
+      aborted++;
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+
+  if (aborted > 0) {
+    console.log('🧹 Aborted', aborted, 'stale multipart uploads');
+  }
+  return aborted;
+}
+
+// Start multipart upload handler
+// Body: { fileName, size, type, group, width?, height?, sha256? }
+// With sha256, a file that is already in the gallery is refused (409) before any part is sent
+async function handleCreateMultipartUpload(request, session, r2Bucket, kvStore, corsHeaders, waitUntil) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid request', details: 'Expected a JSON body' }, 400, corsHeaders);
+    }
+
+    const size = Number(body.size);
+    if (!Number.isFinite(size) || size <= 0) {
+      return jsonResponse({ error: 'Invalid size', details: 'size must be the file size in bytes' }, 400, corsHeaders);
+    }
+    if (size > MAX_FILE_SIZE) {
+      return jsonResponse({ error: 'File too large', details: `File is larger than ${MAX_FILE_SIZE / 1024 / 1024}MB` }, 413, corsHeaders);
+    }
+
+    // The claimed type picks the extension; the contents are checked against it on completion
+    const imageType = IMAGE_SIGNATURES.find(signature => signature.type === body.type);
+    if (!imageType) {
+      return jsonResponse({
+        error: 'Unsupported file type',
+        details: 'Only JPEG, PNG, GIF and WebP images are allowed'
+      }, 415, corsHeaders);
+    }
+
+    const detailsInput = {};
+    IMAGE_DETAIL_FIELDS.filter(field => field in body).forEach(field => {
+      detailsInput[field] = body[field];
+    });
+    const { details, error: detailsError } = parseImageDetails(detailsInput);
+    if (detailsError) {
+      return jsonResponse({ error: 'Invalid image details', details: detailsError }, 400, corsHeaders);
+    }
+
+    const group = (typeof body.group === 'string' ? body.group.trim() : '') || 'Ungrouped';
+    if (SHA256_PATTERN.test(body.sha256)) {
+      const duplicates = await findDuplicates(kvStore, body.sha256, group);
+      if (duplicates.length > 0) {
+        const result = getDuplicateResult(body.fileName || 'File', duplicates, group);
+        return jsonResponse({ error: 'Duplicate image', details: result.reason, result }, 409, corsHeaders);
+      }
+    }
+
+    const imageId = generateImageId();
+    const r2Key = `gallery-imagessda/image-${imageId}.${imageType.extension}`;
+    const multipartUpload = await r2Bucket.createMultipartUpload(r2Key, {
+      httpMetadata: {
+        contentType: imageType.type,
+        cacheControl: 'public, max-age=31536000',
+      },
+    });
+
+    const upload = {
+      uploadId: imageId,
+      r2UploadId: multipartUpload.uploadId,
+      key: r2Key,
+      imageId: imageId,
+      type: imageType.type,
+      fileName: typeof body.fileName === 'string' ? body.fileName.substring(0, 255) : '',
+      size: size,
+      group: group,
+      width: parseInt(body.width, 10) || 0,
+      height: parseInt(body.height, 10) || 0,
+      details: details,
+      owner: session.sub,
+      createdAt: new Date().toISOString(),
+      parts: [], // [{ partNumber, etag, size }]
+    };
+    await kvStore.put(`upload-session:${upload.uploadId}`, JSON.stringify(upload));
+
+    console.log('📤 Started multipart upload:', upload.uploadId, r2Key, size, 'bytes');
+
+    waitUntil(cleanupStaleUploads(r2Bucket, kvStore).catch(error => {
+      console.error('Stale upload cleanup error:', error);
+    }));
+
+    return jsonResponse({
+      uploadId: upload.uploadId,
+      partSize: UPLOAD_PART_SIZE,
+      partCount: Math.ceil(size / UPLOAD_PART_SIZE),
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TIMEOUT_MS).toISOString()
+    }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Create multipart upload error:', error);
+    return jsonResponse({ error: 'Failed to start upload', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Get multipart upload handler (lists finished parts so the client can resume)
+async function handleGetMultipartUpload(uploadId, session, kvStore, corsHeaders) {
+  const { upload, response } = await getUploadSession(kvStore, uploadId, session, corsHeaders);
+  if (response) return response;
+
+  const parts = getUploadParts(upload);
+  return jsonResponse({
+    uploadId: upload.uploadId,
+    fileName: upload.fileName,
+    size: upload.size,
+    partSize: UPLOAD_PART_SIZE,
+    partCount: Math.ceil(upload.size / UPLOAD_PART_SIZE),
+    parts: parts.map(part => ({ partNumber: part.partNumber, size: part.size })),
+  }, 200, corsHeaders);
+}
+
+// Upload part handler (request body is the raw bytes of the part)
+async function handleUploadPart(uploadId, partParam, request, session, r2Bucket, kvStore, corsHeaders) {
+  try {
+    const { upload, response } = await getUploadSession(kvStore, uploadId, session, corsHeaders);
+    if (response) return response;
+
+    const partNumber = parseInt(partParam, 10);
+    const partCount = Math.ceil(upload.size / UPLOAD_PART_SIZE);
+    if (!Number.isInteger(partNumber) || String(partNumber) !== partParam || partNumber < 1 || partNumber > partCount) {
+      return jsonResponse({ error: 'Invalid part number', details: `Part number must be between 1 and ${partCount}` }, 400, corsHeaders);
+    }
+
+    const expectedSize = partNumber < partCount
+      ? UPLOAD_PART_SIZE
+      : upload.size - UPLOAD_PART_SIZE * (partCount - 1);
+    const contentLength = Number(request.headers.get('Content-Length') || 0);
+    if (contentLength > expectedSize) {
+      return jsonResponse({ error: 'Part too large', details: `Part ${partNumber} should be ${expectedSize} bytes` }, 413, corsHeaders);
+    }
+
+    const body = await request.arrayBuffer();
+    if (body.byteLength !== expectedSize) {
+      return jsonResponse({
+        error: 'Invalid part size',
+        details: `Part ${partNumber} should be ${expectedSize} bytes but was ${body.byteLength}`
+      }, 400, corsHeaders);
+    }
+
+    const multipartUpload = r2Bucket.resumeMultipartUpload(upload.key, upload.r2UploadId);
+    const uploadedPart = await multipartUpload.uploadPart(partNumber, body);
+
+    // Re-read the session, which may have been aborted while the part was uploading
+    const { upload: latest, response: latestResponse } = await getUploadSession(kvStore, uploadId, session, corsHeaders);
+    if (latestResponse) return latestResponse;
+    latest.parts = (latest.parts || []).filter(part => part.partNumber !== partNumber);
+    latest.parts.push({ partNumber: partNumber, etag: uploadedPart.etag, size: body.byteLength });
+    await kvStore.put(`upload-session:${uploadId}`, JSON.stringify(latest));
+
+    return jsonResponse({ success: true, partNumber: partNumber }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Upload part error:', error);
+    return jsonResponse({ error: 'Failed to upload part', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Complete multipart upload handler
+// Body (optional multipart/form-data): thumb and medium variant files
+// Calling it again, or while another call is still working, returns the same answer (see finishUpload)
+async function handleCompleteMultipartUpload(uploadId, request, session, role, r2Bucket, kvStore, corsHeaders, audit) {
+  let claimId = null;
+  try {
+    const finished = await getFinishedUpload(kvStore, uploadId, session, corsHeaders);
+    if (finished) return finished;
+    const { upload, response } = await getUploadSession(kvStore, uploadId, session, corsHeaders);
+    if (response) return response;
+
+    const parts = getUploadParts(upload);
+    const partCount = Math.ceil(upload.size / UPLOAD_PART_SIZE);
+    const missingParts = [];
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      if (!parts.some(part => part.partNumber === partNumber)) missingParts.push(partNumber);
+    }
+    if (missingParts.length > 0) {
+      return jsonResponse({
+        error: 'Upload incomplete',
+        details: `Missing parts: ${missingParts.join(', ')}`,
+        missingParts: missingParts
+      }, 409, corsHeaders);
+    }
+
+    claimId = await claimUpload(kvStore, upload);
+    if (!claimId) return getFinishedUpload(kvStore, uploadId, session, corsHeaders);
+
+    const multipartUpload = r2Bucket.resumeMultipartUpload(upload.key, upload.r2UploadId);
+    await multipartUpload.complete(parts.map(part => ({ partNumber: part.partNumber, etag: part.etag })));
+
+    // Check the assembled file's magic bytes against the type given when the upload started
+    const head = await r2Bucket.get(upload.key, { range: { offset: 0, length: 16 } });
+    const imageType = head ? sniffImageType(await head.arrayBuffer()) : null;
+    if (!imageType || imageType.type !== upload.type) {
+      console.warn('⚠️ Multipart upload failed content check:', upload.key, upload.type);
+      await r2Bucket.delete(upload.key);
+      return finishUpload(kvStore, upload, {
+        error: 'Unsupported file type',
+        details: `${upload.fileName || 'File'}: contents are not a ${upload.type} image`,
+        result: { name: upload.fileName, status: 'rejected', reason: 'Unsupported file type (only JPEG, PNG, GIF and WebP images are allowed)' }
+      }, 415, corsHeaders);
+    }
+
+    // The client's hash is not trusted, so the assembled file is checked again
+    // (read whole into memory, which MAX_FILE_SIZE keeps small)
+    const original = await r2Bucket.get(upload.key);
+    const originalBody = await original.arrayBuffer();
+    const sha256 = await getContentHash(originalBody);
+    const duplicates = await findDuplicates(kvStore, sha256, upload.group);
+    if (duplicates.length > 0) {
+      await r2Bucket.delete(upload.key);
+      const result = getDuplicateResult(upload.fileName || 'File', duplicates, upload.group);
+      return finishUpload(kvStore, upload, { error: 'Duplicate image', details: result.reason, result }, 409, corsHeaders);
+    }
+
+    // The parts were stored as uploaded, so the assembled file is rewritten without its metadata
+    const stripped = stripImageMetadata(originalBody, imageType);
+    if (stripped.changed) {
+      await r2Bucket.put(upload.key, stripped.body, { httpMetadata: original.httpMetadata });
+      console.log('🧹 Removed', stripped.removed, 'bytes of photo metadata from', upload.key);
+    }
+
+    // Optional downscaled variants
+    const variants = {};
+    if ((request.headers.get('Content-Type') || '').includes('multipart/form-data')) {
+      const formData = await request.formData();
+      for (const size of IMAGE_VARIANT_SIZES) {
+        const variantEntry = formData.get(size);
+        if (!variantEntry) continue;
+        const variant = await readImageEntry(variantEntry, `${uploadId} (${size})`);
+        if (variant.ok) {
+          variants[size] = variant;
+        } else {
+          console.warn(`⚠️ Ignoring ${size} variant for upload ${uploadId}:`, variant.reason);
+        }
+      }
+    }
+
+    const metadata = await saveImageRecord(r2Bucket, kvStore, {
+      imageId: upload.imageId,
+      r2Key: upload.key,
+      imageType,
+      sha256,
+      storedSha256: stripped.changed ? await getContentHash(stripped.body) : undefined,
+      size: stripped.body.byteLength,
+      group: upload.group,
+      variants,
+      width: upload.width,
+      height: upload.height,
+      details: upload.details,
+      uploadedBy: session.sub,
+      pending: await needsReview(kvStore, session, role)
+    });
+
+    console.log('✅ Multipart upload complete:', upload.key);
+    await audit('image.upload', metadata.group, { imageIds: [metadata.id], fileName: upload.fileName });
+
+    return finishUpload(kvStore, upload, {
+      success: true,
+      image: metadata,
+      result: { name: upload.fileName, status: 'accepted', image: metadata }
+    }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Complete multipart upload error:', error);
+    if (claimId) {
+      try {
+        await releaseUpload(kvStore, uploadId, claimId);
+        // A request that claimed the upload at the same moment may have completed it
+        const finished = await getFinishedUpload(kvStore, uploadId, session, corsHeaders);
+        if (finished) return finished;
+      } catch (releaseError) {
+        console.error('Could not release upload claim:', releaseError);
+      }
+    }
+    return jsonResponse({ error: 'Failed to complete upload', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Abort multipart upload handler
+async function handleAbortMultipartUpload(uploadId, session, r2Bucket, kvStore, corsHeaders) {
+  try {
+    const { upload, response } = await getUploadSession(kvStore, uploadId, session, corsHeaders);
+    if (response) return response;
+
+    try {
+      await r2Bucket.resumeMultipartUpload(upload.key, upload.r2UploadId).abort();
+    } catch (error) {
+      console.warn('⚠️ Could not abort multipart upload (it may already be gone):', uploadId, error.message);
+    }
+    await deleteUploadSession(kvStore, uploadId);
+
+    return jsonResponse({ success: true }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Abort multipart upload error:', error);
+    return jsonResponse({ error: 'Failed to abort upload', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Helper function to determine Content-Type from file extension
+function getContentTypeFromExtension(ext) {
+  const contentTypes = {
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'png': 'image/png',
+    'gif': 'image/gif',
+    'webp': 'image/webp',
+    'svg': 'image/svg+xml',
+    'bmp': 'image/bmp',
+  };
+  return contentTypes[ext.toLowerCase()] || 'image/jpeg';
+}
+
+// Gallery listing index
+// One KV key per image, ordered newest first by an inverted upload timestamp so that
+// kvStore.list() returns pages in a stable order:
+//   gallery:by-time:<inverted ms>:<id>
+//   gallery:by-group:<encoded group>:<inverted ms>:<id>
+// These keys are also the only record of group membership. Each upload or delete only
+// writes its own keys, so concurrent requests cannot clobber each other's changes
+// (the old shared gallery:index and group:<name> arrays were read-modify-written).
+const GALLERY_PAGE_SIZE = 50;
+const GALLERY_MAX_PAGE_SIZE = 100;
+const MAX_TIMESTAMP = 9999999999999;
+
+function invertTimestamp(isoDate) {
+  return String(MAX_TIMESTAMP - new Date(isoDate).getTime()).padStart(13, '0');
+}
+
+function getGroupIndexPrefix(group) {
+  return `gallery:by-group:${encodeURIComponent(group)}:`;
+}
+
+// Sort key of an image within its group: its position once the group has been reordered,
+// otherwise its upload time. Positions are padded to the width of an inverted timestamp and are
+// always smaller, so reordered images come first and later uploads follow, newest first.
+function getGroupSortKey(metadata) {
+  return Number.isInteger(metadata.groupPosition)
+    ? String(metadata.groupPosition).padStart(13, '0')
+    : invertTimestamp(metadata.uploadedAt);
+}
+
+function getIndexKeys(metadata) {
+  return [
+    `gallery:by-time:${invertTimestamp(metadata.uploadedAt)}:${metadata.id}`,
+    `${getGroupIndexPrefix(metadata.group || 'Ungrouped')}${getGroupSortKey(metadata)}:${metadata.id}`,
+  ];
+}
+
+async function addToIndex(kvStore, metadata) {
+  for (const key of getIndexKeys(metadata)) {
+    await kvStore.put(key, metadata.id);
+  }
+  await updateSearchIndex(kvStore, null, metadata);
+}
+
+async function removeFromIndex(kvStore, metadata) {
+  for (const key of getIndexKeys(metadata)) {
+    await kvStore.delete(key);
+  }
+  await updateSearchIndex(kvStore, metadata, null);
+}
+
+// All image IDs in a group, newest first
+async function listGroupImageIds(kvStore, group) {
+  const prefix = getGroupIndexPrefix(group);
+  const imageIds = [];
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix, cursor });
+    for (const key of list.keys) {
+      imageIds.push(key.name.substring(prefix.length).split(':')[1]);
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return imageIds;
+}
+
+async function groupHasImages(kvStore, group) {
+  const list = await kvStore.list({ prefix: getGroupIndexPrefix(group), limit: 1 });
+  return list.keys.length > 0;
+}
+
+// Group registry: group-name:<name> exists while a group has images (used by /api/groups)
+// Always written blindly after the image's index keys, never read-modify-written
+async function registerGroup(kvStore, group) {
+  await kvStore.put(`group-name:${group}`, group);
+}
+
+// Remove a group from the registry once its last image is gone
+// The marker is deleted first and restored if an upload added an image in the meantime,
+// so a concurrent upload can never leave a group with images but no registry entry
+async function pruneGroupIfEmpty(kvStore, group) {
+  if (await groupHasImages(kvStore, group)) return;
+  await kvStore.delete(`group-name:${group}`);
+  if (await groupHasImages(kvStore, group)) {
+    await registerGroup(kvStore, group);
+  }
+}
+
+// One-time migration from the legacy layout (gallery:index array and group:<name> arrays)
+// to per-image index keys, the group registry, the search index and the object keys.
+// Safe to run more than once.
+async function ensureGalleryIndex(kvStore) {
+  const indexVersion = await kvStore.get('settings:index-version');
+  if (indexVersion === '5') return;
+  if (indexVersion === '3' || indexVersion === '4') {
+    // Version 3 already has the listing keys and version 4 the search index
+    if (indexVersion === '3') await buildSearchIndex(kvStore);
+    await buildObjectRefs(kvStore);
+    await kvStore.put('settings:index-version', '5');
+    return;
+  }
+
+  const imageIds = new Set();
+  const galleryIndex = await kvStore.get('gallery:index');
+  (galleryIndex ? JSON.parse(galleryIndex) : []).forEach(id => imageIds.add(id));
+
+  const legacyGroupKeys = [];
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'group:', cursor });
+    for (const key of list.keys) {
+      const groupData = await kvStore.get(key.name);
+      if (groupData && groupData.startsWith('[')) {
+        JSON.parse(groupData).forEach(id => imageIds.add(id));
+        legacyGroupKeys.push(key.name);
+      }
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+
+  console.log('🔧 Migrating gallery index for', imageIds.size, 'images');
+
+  for (const imageId of imageIds) {
+    const metadataStr = await kvStore.get(`image:${imageId}`);
+    if (metadataStr) {
+      const metadata = JSON.parse(metadataStr);
+      await addToIndex(kvStore, metadata);
+      await registerGroup(kvStore, metadata.group || 'Ungrouped');
+    }
+  }
+
+  for (const key of legacyGroupKeys) {
+    await kvStore.delete(key);
+  }
+  await kvStore.delete('gallery:index');
+  await buildObjectRefs(kvStore);
+  await kvStore.put('settings:index-version', '5');
+}
+
+// Write the object key of every image record, in the gallery or the trash
+async function buildObjectRefs(kvStore) {
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'image:', cursor });
+    for (const key of list.keys) {
+      const metadataStr = await kvStore.get(key.name);
+      if (metadataStr) {
+        const metadata = JSON.parse(metadataStr);
+        await kvStore.put(getObjectRefKey(metadata), metadata.id);
+      }
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+}
+
+// One page of the gallery, or of one group: { images, nextCursor }
+// sinceKey (an inverted timestamp) stops at images uploaded before that time
+async function listGalleryPage(kvStore, { group, cursor, limit, sinceKey }) {
+  if (!cursor) {
+    await ensureGalleryIndex(kvStore);
+  }
+
+  const prefix = group ? getGroupIndexPrefix(group) : 'gallery:by-time:';
+  const list = await kvStore.list({ prefix, limit, cursor });
+
+  const images = [];
+  let reachedSince = false;
+
+  for (const key of list.keys) {
+    const [sortKey, imageId] = key.name.substring(prefix.length).split(':');
+    // Time keys are newest first, so everything after an older key is older too
+    if (sinceKey && !group && sortKey > sinceKey) {
+      reachedSince = true;
+      break;
+    }
+
+    const metadataStr = await kvStore.get(`image:${imageId}`);
+    if (metadataStr) {
+      const metadata = JSON.parse(metadataStr);
+      // Groups can be reordered, so their pages are filtered image by image
+      if (sinceKey && group && invertTimestamp(metadata.uploadedAt) > sinceKey) continue;
+      // Update URL to use the image endpoint
+      metadata.url = `/api/image/${metadata.fileName}`;
+      images.push(metadata);
+    }
+  }
+
+  return { images, nextCursor: list.list_complete || reachedSince ? null : list.cursor };
+}
+
+// Get gallery handler
+// Query: cursor (from the previous page's nextCursor), limit (1-100), group, since (ISO date)
+// Returns { images, nextCursor } with images ordered newest first; nextCursor is null on the last page
+async function handleGetGallery(url, kvStore, corsHeaders) {
+  try {
+    const params = url.searchParams;
+    const cursor = params.get('cursor') || undefined;
+    const group = params.get('group');
+    const limit = Math.min(
+      Math.max(parseInt(params.get('limit'), 10) || GALLERY_PAGE_SIZE, 1),
+      GALLERY_MAX_PAGE_SIZE
+    );
+
+    let sinceKey = null;
+    if (params.get('since')) {
+      const since = new Date(params.get('since'));
+      if (isNaN(since.getTime())) {
+        return jsonResponse({ error: 'Invalid since', details: 'since must be an ISO 8601 date' }, 400, corsHeaders);
+      }
+      sinceKey = invertTimestamp(since.toISOString());
+    }
+
+    return jsonResponse(await listGalleryPage(kvStore, { group, cursor, limit, sinceKey }), 200, corsHeaders);
+  } catch (error) {
+    console.error('Get gallery error:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to load gallery' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Get groups handler
+// Returns the group names, or with ?details=1 [{ name, cover }] where cover is the pinned
+// cover image's metadata (null when no cover is pinned)
+async function handleGetGroups(url, kvStore, corsHeaders) {
+  try {
+    await ensureGalleryIndex(kvStore);
+
+    const groups = [];
+    let hasUngrouped = false;
+    let cursor;
+    do {
+      const list = await kvStore.list({ prefix: 'group-name:', cursor });
+      for (const key of list.keys) {
+        const groupName = key.name.substring('group-name:'.length);
+        // Skip groups whose last image was deleted while a prune was in progress
+        if (!groupName || !(await groupHasImages(kvStore, groupName))) continue;
+        if (groupName === 'Ungrouped') {
+          hasUngrouped = true;
+        } else {
+          groups.push(groupName);
+        }
+      }
+      cursor = list.list_complete ? undefined : list.cursor;
+    } while (cursor);
+
+    groups.sort();
+
+    // Add Ungrouped last if it exists
+    if (hasUngrouped) {
+      groups.push('Ungrouped');
+    }
+
+    if (['1', 'true'].includes(url.searchParams.get('details'))) {
+      const details = [];
+      for (const name of groups) {
+        details.push({ name, cover: await getGroupCover(kvStore, name) });
+      }
+      return jsonResponse(details, 200, corsHeaders);
+    }
+
+    return new Response(
+      JSON.stringify(groups),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Get groups error:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to load groups' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Search
+// Inverted index over group names, captions and tags: one search:<token>:<id> key per word of an
+// image's searchable text. A query word matches every token it is a prefix of, so listing
+// search:<word> finds "spring" and "springfield" for "spring". Keys are added and removed with
+// the listing keys (addToIndex / removeFromIndex) and diffed whenever an image's text changes.
+const SEARCH_RESULT_LIMIT = 50;
+const SEARCH_MAX_CANDIDATES = 1000; // images checked per query
+const SEARCH_MAX_WORDS = 5;
+const SEARCH_MAX_TOKEN_LENGTH = 40;
+
+// Lower-cased words of a text; anything that is not a letter or digit separates words
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(token => token.substring(0, SEARCH_MAX_TOKEN_LENGTH));
+}
+
+function getSearchTokens(metadata) {
+  return new Set([
+    ...tokenize(metadata.group || 'Ungrouped'),
+    ...tokenize(metadata.caption),
+    ...(metadata.tags || []).flatMap(tag => tokenize(tag))
+  ]);
+}
+
+// Bring an image's search keys from one version of its metadata to the next
+// before is null for a new image, after is null when the image leaves the gallery
+async function updateSearchIndex(kvStore, before, after) {
+  const oldTokens = before ? getSearchTokens(before) : new Set();
+  const newTokens = after ? getSearchTokens(after) : new Set();
+  const imageId = (after || before).id;
+
+  for (const token of newTokens) {
+    if (!oldTokens.has(token)) await kvStore.put(`search:${token}:${imageId}`, imageId);
+  }
+  for (const token of oldTokens) {
+    if (!newTokens.has(token)) await kvStore.delete(`search:${token}:${imageId}`);
+  }
+}
+
+// Index every image in the gallery (used when upgrading an index built before search existed)
+async function buildSearchIndex(kvStore) {
+  let indexed = 0;
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'gallery:by-time:', cursor });
+    for (const key of list.keys) {
+      const imageId = key.name.split(':')[3];
+      const metadataStr = await kvStore.get(`image:${imageId}`);
+      if (!metadataStr) continue;
+      await updateSearchIndex(kvStore, null, JSON.parse(metadataStr));
+      indexed++;
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  console.log('🔎 Built search index for', indexed, 'images');
+}
+
+// IDs of the images with a token starting with the word: { imageIds, complete }
+// Stops after limit images, with complete false when the word matches more
+async function findImagesByWord(kvStore, word, limit) {
+  const prefix = `search:${word}`;
+  const imageIds = new Set();
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix, cursor });
+    for (const key of list.keys) {
+      const imageId = key.name.substring(key.name.lastIndexOf(':') + 1);
+      if (!imageIds.has(imageId) && imageIds.size >= limit) return { imageIds, complete: false };
+      imageIds.add(imageId);
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return { imageIds, complete: true };
+}
+
+// Every query word has to be the start of one of the tokens
+function matchesAllWords(tokens, words) {
+  return words.every(word => [...tokens].some(token => token.startsWith(word)));
+}
+
+// Search handler
+// Query: q. Returns { query, groups, images, truncated } where groups are the names of matching
+// groups and images are the matching images (by group name, caption or tag), newest first.
+// truncated is true when more images match than were returned (too many to check, or more than
+// SEARCH_RESULT_LIMIT); more words narrow the search.
+async function handleSearch(url, kvStore, corsHeaders) {
+  try {
+    const query = (url.searchParams.get('q') || '').trim();
+    const words = [...new Set(tokenize(query))].slice(0, SEARCH_MAX_WORDS);
+    if (words.length === 0) {
+      return jsonResponse({ error: 'Invalid query', details: 'q must contain at least one word' }, 400, corsHeaders);
+    }
+
+    await ensureGalleryIndex(kvStore);
+
+    // Start from the word with the fewest matches; the other words are checked on each record
+    // below. Once a word's matches are all known, the others only need listing up to that many.
+    let candidates = null;
+    for (const word of words) {
+      const limit = candidates?.complete ? candidates.imageIds.size : SEARCH_MAX_CANDIDATES;
+      const found = await findImagesByWord(kvStore, word, limit);
+      if (!candidates || (found.complete && (!candidates.complete || found.imageIds.size < candidates.imageIds.size))) {
+        candidates = found;
+      }
+      if (candidates.complete && candidates.imageIds.size === 0) break;
+    }
+
+    // Re-check each record so that keys left behind by an interrupted update never show up
+    const images = [];
+    for (const imageId of candidates.imageIds) {
+      const metadataStr = await kvStore.get(`image:${imageId}`);
+      if (!metadataStr) continue;
+      const metadata = JSON.parse(metadataStr);
+      if (metadata.deletedAt || !matchesAllWords(getSearchTokens(metadata), words)) continue;
+      metadata.url = `/api/image/${metadata.fileName}`;
+      images.push(metadata);
+    }
+    images.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+
+    const groups = [];
+    let cursor;
+    do {
+      const list = await kvStore.list({ prefix: 'group-name:', cursor });
+      for (const key of list.keys) {
+        const groupName = key.name.substring('group-name:'.length);
+        if (groupName && matchesAllWords(new Set(tokenize(groupName)), words)) {
+          groups.push(groupName);
+        }
+      }
+      cursor = list.list_complete ? undefined : list.cursor;
+    } while (cursor);
+    groups.sort();
+
+    return jsonResponse({
+      query,
+      groups,
+      images: images.slice(0, SEARCH_RESULT_LIMIT),
+      truncated: !candidates.complete || images.length > SEARCH_RESULT_LIMIT
+    }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Search error:', error);
+    return jsonResponse({ error: 'Search failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Group management
+// Settings that belong to a group rather than to its images live in group-settings:<name>
+// ({ cover }); membership and order are the images' own index keys (see getIndexKeys).
+async function getGroupSettings(kvStore, group) {
+  const settings = await kvStore.get(`group-settings:${group}`);
+  return settings ? JSON.parse(settings) : {};
+}
+
+async function putGroupSettings(kvStore, group, settings) {
+  if (Object.keys(settings).length === 0) {
+    await kvStore.delete(`group-settings:${group}`);
+  } else {
+    await kvStore.put(`group-settings:${group}`, JSON.stringify(settings));
+  }
+}
+
+// Metadata of the group's pinned cover, or null if none is pinned or it has left the group
+async function getGroupCover(kvStore, group) {
+  const { cover } = await getGroupSettings(kvStore, group);
+  if (!cover) return null;
+  const metadataStr = await kvStore.get(`image:${cover}`);
+  const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+  return metadata && !metadata.deletedAt && (metadata.group || 'Ungrouped') === group ? metadata : null;
+}
+
+function parseGroupName(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+async function readJsonBody(request, corsHeaders) {
+  try {
+    return { body: await request.json() };
+  } catch (e) {
+    return { response: jsonResponse({ error: 'Invalid request', details: 'Expected a JSON body' }, 400, corsHeaders) };
+  }
+}
+
+// Change an image's group and/or position
+// The new group key is written before the old one is removed, so the image is never missing from
+// both groups. The caller prunes the old group once it is done moving images out of it.
+async function updateImageGroup(kvStore, metadata, { group, groupPosition }) {
+  const updated = { ...metadata, group };
+  delete updated.groupPosition;
+  if (Number.isInteger(groupPosition)) updated.groupPosition = groupPosition;
+
+  const oldGroupKey = getIndexKeys(metadata)[1];
+  const newGroupKey = getIndexKeys(updated)[1];
+  await kvStore.put(`image:${metadata.id}`, JSON.stringify(updated));
+  if (newGroupKey !== oldGroupKey) {
+    await kvStore.put(newGroupKey, metadata.id);
+    await registerGroup(kvStore, group);
+    await kvStore.delete(oldGroupKey);
+  }
+  await updateSearchIndex(kvStore, metadata, updated);
+  return updated;
+}
+
+// Move every image of a group to another group
+// keepOrder keeps custom positions (rename); otherwise the images join the target by upload time (merge)
+async function moveGroupImages(kvStore, fromGroup, toGroup, keepOrder) {
+  let moved = 0;
+  for (const imageId of await listGroupImageIds(kvStore, fromGroup)) {
+    const metadataStr = await kvStore.get(`image:${imageId}`);
+    if (!metadataStr) continue;
+    const metadata = JSON.parse(metadataStr);
+    await updateImageGroup(kvStore, metadata, {
+      group: toGroup,
+      groupPosition: keepOrder ? metadata.groupPosition : undefined
+    });
+    moved++;
+  }
+  await pruneGroupIfEmpty(kvStore, fromGroup);
+  return moved;
+}
+
+// Rename group handler (admin)
+// Body: { name }. Renaming onto a group that already has images is refused; use merge instead.
+async function handleRenameGroup(groupName, request, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const newName = parseGroupName(body.name);
+    if (!newName) {
+      return jsonResponse({ error: 'Invalid name', details: 'name must be a non-empty string' }, 400, corsHeaders);
+    }
+    if (newName === groupName) {
+      return jsonResponse({ success: true, group: newName, moved: 0 }, 200, corsHeaders);
+    }
+
+    await ensureGalleryIndex(kvStore);
+    if (!(await groupHasImages(kvStore, groupName))) {
+      return jsonResponse({ error: 'Group not found' }, 404, corsHeaders);
+    }
+    if (await groupHasImages(kvStore, newName)) {
+      return jsonResponse({
+        error: 'Group already exists',
+        details: `"${newName}" already has images. Merge the groups instead.`
+      }, 409, corsHeaders);
+    }
+
+    const moved = await moveGroupImages(kvStore, groupName, newName, true);
+    await putGroupSettings(kvStore, newName, await getGroupSettings(kvStore, groupName));
+    await putGroupSettings(kvStore, groupName, {});
+    await moveGroupShares(kvStore, groupName, newName);
+
+    console.log('✏️ Renamed group:', groupName, '->', newName, `(${moved} images)`);
+    await audit('group.rename', groupName, { to: newName, moved });
+    return jsonResponse({ success: true, group: newName, moved }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Rename group error:', error);
+    return jsonResponse({ error: 'Rename group failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Merge group handler (admin)
+// Body: { into }. Moves every image into the target group; the target keeps its cover unless it has none.
+async function handleMergeGroup(groupName, request, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const target = parseGroupName(body.into);
+    if (!target || target === groupName) {
+      return jsonResponse({ error: 'Invalid target', details: 'into must name a different group' }, 400, corsHeaders);
+    }
+
+    await ensureGalleryIndex(kvStore);
+    if (!(await groupHasImages(kvStore, groupName))) {
+      return jsonResponse({ error: 'Group not found' }, 404, corsHeaders);
+    }
+
+    const moved = await moveGroupImages(kvStore, groupName, target, false);
+    const targetSettings = await getGroupSettings(kvStore, target);
+    if (!targetSettings.cover) {
+      const { cover } = await getGroupSettings(kvStore, groupName);
+      if (cover) await putGroupSettings(kvStore, target, { ...targetSettings, cover });
+    }
+    await putGroupSettings(kvStore, groupName, {});
+    await moveGroupShares(kvStore, groupName, target);
+
+    console.log('🔀 Merged group:', groupName, '->', target, `(${moved} images)`);
+    await audit('group.merge', groupName, { into: target, moved });
+    return jsonResponse({ success: true, group: target, moved }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Merge group error:', error);
+    return jsonResponse({ error: 'Merge group failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Admins may manage any image; other users only the images they uploaded
+function canManageImage(session, role, metadata) {
+  return hasRole(role, 'admin') || (Boolean(metadata.uploadedBy) && metadata.uploadedBy === session.sub);
+}
+
+// Update image handler (uploader, for their own images; admin for any)
+// Body: any of { caption, alt, tags, credit }; null or '' clears a field
+async function handleUpdateImage(imageId, request, session, role, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+    if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+      return jsonResponse({ error: 'Invalid request', details: `Provide any of: ${IMAGE_DETAIL_FIELDS.join(', ')}` }, 400, corsHeaders);
+    }
+
+    const { details, error } = parseImageDetails(body);
+    if (error) {
+      return jsonResponse({ error: 'Invalid image details', details: error }, 400, corsHeaders);
+    }
+
+    const metadataStr = await kvStore.get(`image:${imageId}`);
+    const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+    if (!metadata || metadata.deletedAt) {
+      return jsonResponse({ error: 'Image not found' }, 404, corsHeaders);
+    }
+    if (!canManageImage(session, role, metadata)) {
+      console.warn('❌ Permission denied:', session.sub, 'cannot edit image', imageId);
+      return jsonResponse({ error: 'Forbidden', details: 'Only admins and the uploader can edit this image' }, 403, corsHeaders);
+    }
+
+    const updated = applyImageDetails(metadata, details);
+    await kvStore.put(`image:${imageId}`, JSON.stringify(updated));
+    // Pending images are not searchable until they are approved
+    if (isPublished(metadata)) {
+      await updateSearchIndex(kvStore, metadata, updated);
+    }
+
+    await audit('image.update', imageId, { group: metadata.group, fields: Object.keys(details) });
+    return jsonResponse({ success: true, image: updated }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Update image error:', error);
+    return jsonResponse({ error: 'Update image failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Move images handler (admin)
+// Body: { ids: [...], group }. Moved images join the target group by upload time.
+async function handleMoveImages(request, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const target = parseGroupName(body.group);
+    const imageIds = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+    if (!target || imageIds.length === 0) {
+      return jsonResponse({ error: 'Invalid request', details: 'Provide ids and a target group' }, 400, corsHeaders);
+    }
+
+    const moved = [];
+    const notFound = [];
+    const sourceGroups = new Set();
+    for (const imageId of imageIds) {
+      const metadataStr = await kvStore.get(`image:${imageId}`);
+      const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+      if (!metadata || !isPublished(metadata)) {
+        notFound.push(imageId);
+        continue;
+      }
+      const sourceGroup = metadata.group || 'Ungrouped';
+      if (sourceGroup === target) continue;
+      moved.push(await updateImageGroup(kvStore, metadata, { group: target }));
+      sourceGroups.add(sourceGroup);
+    }
+
+    for (const group of sourceGroups) {
+      await pruneGroupIfEmpty(kvStore, group);
+    }
+
+    console.log('📦 Moved', moved.length, 'images to', target);
+    await audit('image.move', target, { imageIds: moved.map(image => image.id), from: [...sourceGroups] });
+    return jsonResponse({ success: true, group: target, moved, notFound }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Move images error:', error);
+    return jsonResponse({ error: 'Move images failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Duplicate lookup handler (uploader)
+// Body: { hashes: [...] } SHA-256 hex digests of files about to be uploaded
+// Returns { duplicates: { <hash>: [image, ...] } } for the hashes that are already in the gallery
+async function handleLookupHashes(request, kvStore, corsHeaders) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const hashes = Array.isArray(body.hashes) ? [...new Set(body.hashes.map(String))] : [];
+    if (hashes.length === 0 || hashes.length > MAX_FILES || !hashes.every(hash => SHA256_PATTERN.test(hash))) {
+      return jsonResponse({ error: 'Invalid request', details: `Provide up to ${MAX_FILES} SHA-256 hashes (lowercase hex)` }, 400, corsHeaders);
+    }
+
+    const duplicates = {};
+    for (const hash of hashes) {
+      const images = await findDuplicates(kvStore, hash);
+      if (images.length > 0) duplicates[hash] = images;
+    }
+
+    return jsonResponse({ duplicates }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Duplicate lookup error:', error);
+    return jsonResponse({ error: 'Duplicate lookup failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Link images handler (uploader)
+// Body: { ids: [...], group }. Adds existing images to another group without storing them again:
+// each link is a new image record that shares the original's R2 objects. Links are moderated like
+// uploads, and links to an image that is still pending are pending too.
+async function handleLinkImages(request, session, role, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const target = parseGroupName(body.group);
+    const imageIds = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+    if (!target || imageIds.length === 0) {
+      return jsonResponse({ error: 'Invalid request', details: 'Provide ids and a target group' }, 400, corsHeaders);
+    }
+
+    const linked = [];
+    const notFound = [];
+    const pending = await needsReview(kvStore, session, role);
+    for (const [i, imageId] of imageIds.entries()) {
+      const metadataStr = await kvStore.get(`image:${imageId}`);
+      const source = metadataStr ? JSON.parse(metadataStr) : null;
+      if (!source || source.deletedAt) {
+        notFound.push(imageId);
+        continue;
+      }
+      if ((source.group || 'Ungrouped') === target) continue;
+
+      const metadata = {
+        ...source,
+        id: generateImageId(i),
+        group: target,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: session.sub,
+        status: pending || source.status === 'pending' ? 'pending' : 'approved',
+        linkedFrom: source.linkedFrom || source.id,
+        // Its own copy of the variant keys, so its thumbnails still work once the original is purged
+        variants: { ...source.variants }
+      };
+      delete metadata.groupPosition;
+      delete metadata.reviewedBy;
+      delete metadata.reviewedAt;
+
+      await kvStore.put(`image:${metadata.id}`, JSON.stringify(metadata));
+      await kvStore.put(getObjectRefKey(metadata), metadata.id);
+      for (const key of getHashKeys(metadata)) {
+        await kvStore.put(key, metadata.id);
+      }
+      if (metadata.status === 'pending') {
+        await queueForReview(kvStore, metadata);
+      } else {
+        await publishImage(kvStore, metadata);
+      }
+      linked.push(metadata);
+    }
+
+    console.log('🔗 Linked', linked.length, 'images into', target);
+    await audit('image.link', target, { imageIds: linked.map(image => image.id), linkedFrom: linked.map(image => image.linkedFrom) });
+    return jsonResponse({ success: true, group: target, images: linked, notFound }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Link images error:', error);
+    return jsonResponse({ error: 'Link images failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Reorder group handler (admin)
+// Body: { ids: [...] } in the new order; images left out keep their current order after them
+async function handleReorderGroup(groupName, request, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const requestedIds = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+    if (requestedIds.length === 0) {
+      return jsonResponse({ error: 'Invalid order', details: 'ids must list the images in their new order' }, 400, corsHeaders);
+    }
+
+    await ensureGalleryIndex(kvStore);
+    const currentIds = await listGroupImageIds(kvStore, groupName);
+    if (currentIds.length === 0) {
+      return jsonResponse({ error: 'Group not found' }, 404, corsHeaders);
+    }
+    const unknownIds = requestedIds.filter(id => !currentIds.includes(id));
+    if (unknownIds.length > 0) {
+      return jsonResponse({
+        error: 'Invalid order',
+        details: `Not in "${groupName}": ${unknownIds.join(', ')}`
+      }, 400, corsHeaders);
+    }
+
+    const order = [...requestedIds, ...currentIds.filter(id => !requestedIds.includes(id))];
+    for (let position = 0; position < order.length; position++) {
+      const metadataStr = await kvStore.get(`image:${order[position]}`);
+      if (!metadataStr) continue;
+      const metadata = JSON.parse(metadataStr);
+      if (metadata.groupPosition === position) continue;
+      await updateImageGroup(kvStore, metadata, { group: groupName, groupPosition: position });
+    }
+
+    await audit('group.reorder', groupName, { imageIds: requestedIds });
+    return jsonResponse({ success: true, order }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Reorder group error:', error);
+    return jsonResponse({ error: 'Reorder group failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Set cover handler (admin)
+// Body: { imageId } to pin an image of the group as its cover, or { imageId: null } to unpin
+async function handleSetGroupCover(groupName, request, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const settings = await getGroupSettings(kvStore, groupName);
+    if (body.imageId === null) {
+      delete settings.cover;
+      await putGroupSettings(kvStore, groupName, settings);
+      await audit('group.cover', groupName, { cover: null });
+      return jsonResponse({ success: true, cover: null }, 200, corsHeaders);
+    }
+
+    const metadataStr = await kvStore.get(`image:${body.imageId}`);
+    const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+    if (!metadata || !isPublished(metadata) || (metadata.group || 'Ungrouped') !== groupName) {
+      return jsonResponse({ error: 'Invalid cover', details: `Image is not in "${groupName}"` }, 400, corsHeaders);
+    }
+
+    await putGroupSettings(kvStore, groupName, { ...settings, cover: metadata.id });
+    await audit('group.cover', groupName, { cover: metadata.id });
+    return jsonResponse({ success: true, cover: metadata }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Set cover error:', error);
+    return jsonResponse({ error: 'Set cover failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Delete image handler
+// Moves the image to the trash; it is purged for good after the retention period
+async function handleDeleteImage(imageId, session, kvStore, corsHeaders, audit) {
+  try {
+    // Get metadata
+    const metadataStr = await kvStore.get(`image:${imageId}`);
+    if (!metadataStr) {
+      return new Response(
+        JSON.stringify({ error: 'Image not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const metadata = JSON.parse(metadataStr);
+    if (metadata.deletedAt) {
+      return jsonResponse({ error: 'Image not found', details: 'Image is already in the trash' }, 404, corsHeaders);
+    }
+
+    await moveToTrash(kvStore, metadata, session.sub);
+    await pruneGroupIfEmpty(kvStore, metadata.group || 'Ungrouped');
+    await audit('image.delete', imageId, { group: metadata.group, fileName: metadata.fileName });
+
+    return new Response(
+      JSON.stringify({ success: true }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Delete error:', error);
+    return new Response(
+      JSON.stringify({ error: 'Delete failed' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Bulk delete handler (admin)
+// Body: { ids: [...] }. Moves the images to the trash, like deleting them one by one
+async function handleDeleteImages(request, session, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const imageIds = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+    if (imageIds.length === 0) {
+      return jsonResponse({ error: 'Invalid request', details: 'Provide the ids to delete' }, 400, corsHeaders);
+    }
+
+    const trashed = [];
+    const notFound = [];
+    const groups = new Set();
+    for (const imageId of imageIds) {
+      const metadataStr = await kvStore.get(`image:${imageId}`);
+      const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+      if (!metadata || metadata.deletedAt) {
+        notFound.push(imageId);
+        continue;
+      }
+      await moveToTrash(kvStore, metadata, session.sub);
+      await audit('image.delete', imageId, { group: metadata.group, fileName: metadata.fileName });
+      groups.add(metadata.group || 'Ungrouped');
+      trashed.push(imageId);
+    }
+
+    for (const group of groups) {
+      await pruneGroupIfEmpty(kvStore, group);
+    }
+
+    console.log('🗑️ Moved', trashed.length, 'images to the trash');
+    return jsonResponse({ success: true, trashed, notFound }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    return jsonResponse({ error: 'Delete failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Delete group handler
+// Moves every image in the group to the trash
+async function handleDeleteGroup(groupName, session, kvStore, corsHeaders, audit) {
+  try {
+    await ensureGalleryIndex(kvStore);
+    const groupImages = await listGroupImageIds(kvStore, groupName);
+
+    if (groupImages.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Group not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Trash all images in the group
+    let trashed = 0;
+    for (const imageId of groupImages) {
+      const metadataStr = await kvStore.get(`image:${imageId}`);
+      if (metadataStr) {
+        await moveToTrash(kvStore, JSON.parse(metadataStr), session.sub);
+        trashed++;
+      }
+    }
+
+    // Delete group (kept if an image was uploaded to it while deleting)
+    await pruneGroupIfEmpty(kvStore, groupName);
+    await audit('group.delete', groupName, { trashed, imageIds: groupImages });
+
+    return new Response(
+      JSON.stringify({ success: true, trashed: trashed }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Delete group error:', error);
+    return new Response(
+      JSON.stringify({ error: 'Delete group failed' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Share links
+// A share link gives read-only access to one group without the gallery password. The link carries
+// a token signed like a session ({ typ: 'share', jti, exp }); share:<jti> holds the shared group
+// and deleting it revokes the link before it expires. Shares follow their group through renames
+// and merges. KV drops share keys by itself once they expire.
+const SHARE_DEFAULT_DAYS = 7;
+const SHARE_MAX_DAYS = 90;
+
+// What a share link reveals about an image (not who uploaded or reviewed it)
+const SHARED_IMAGE_FIELDS = ['id', 'fileName', 'url', 'group', 'uploadedAt', 'type', 'width', 'height', ...IMAGE_DETAIL_FIELDS];
+
+// The token is derived from the share record, so admins can copy a link again later
+async function getShareLink(share, env) {
+  const token = await signToken({ typ: 'share', jti: share.id, exp: Math.floor(new Date(share.expiresAt).getTime() / 1000) }, env.SESSION_SECRET);
+  return { ...share, token, url: `/gallery.html?share=${token}` };
+}
+
+// Returns the share for a token, or null if the token is invalid, expired or revoked
+async function getShare(token, env, kvStore) {
+  const payload = await verifyToken(token, env.SESSION_SECRET);
+  if (!payload || payload.typ !== 'share' || typeof payload.jti !== 'string') return null;
+  const shareData = await kvStore.get(`share:${payload.jti}`);
+  const share = shareData ? JSON.parse(shareData) : null;
+  return share && new Date(share.expiresAt).getTime() > Date.now() ? share : null;
+}
+
+async function listShares(kvStore) {
+  const shares = [];
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'share:', cursor });
+    for (const key of list.keys) {
+      const shareData = await kvStore.get(key.name);
+      if (shareData) shares.push(JSON.parse(shareData));
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+  return shares.filter(share => new Date(share.expiresAt).getTime() > Date.now());
+}
+
+async function putShare(kvStore, share) {
+  await kvStore.put(`share:${share.id}`, JSON.stringify(share), {
+    expiration: Math.floor(new Date(share.expiresAt).getTime() / 1000)
+  });
+}
+
+// Point the shares of a renamed or merged group at its new name
+async function moveGroupShares(kvStore, fromGroup, toGroup) {
+  for (const share of await listShares(kvStore)) {
+    if (share.group === fromGroup) {
+      await putShare(kvStore, { ...share, group: toGroup });
+    }
+  }
+}
+
+function invalidShareResponse(corsHeaders) {
+  return jsonResponse({ error: 'Invalid share link', details: 'This share link has expired or was revoked' }, 401, corsHeaders);
+}
+
+// Group-wide requests (such as the archive) need a viewer session or a share link for that group
+// Returns an error response, or null when the request may see the group
+async function authorizeGroup(request, url, group, env, kvStore, corsHeaders) {
+  const shareToken = url.searchParams.get('share');
+  if (!shareToken) {
+    const { response } = await authorize(request, env, kvStore, 'viewer', corsHeaders);
+    return response || null;
+  }
+
+  const share = await getShare(shareToken, env, kvStore);
+  if (!share) return invalidShareResponse(corsHeaders);
+  if (share.group !== group) {
+    return jsonResponse({ error: 'Forbidden', details: 'This share link is for another group' }, 403, corsHeaders);
+  }
+  return null;
+}
+
+// The image record a request for r2Key is about: the one named by ?id= (images linked into another
+// group use the original's file), else the one the file was stored for. Null for files without one.
+async function getRequestedImage(kvStore, url, r2Key) {
+  const imageIds = [url.searchParams.get('id'), getImageIdFromKey(r2Key)].filter(Boolean);
+  for (const imageId of new Set(imageIds)) {
+    const metadataStr = await kvStore.get(`image:${imageId}`);
+    const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+    if (metadata && getCanonicalImageKey(metadata.fileName) === r2Key) return metadata;
+  }
+  return null;
+}
+
+// Images need a viewer session, or a share link (?share=) for the group the image belongs to.
+// Pending, rejected and trashed images are only shown to admins and the user who uploaded them.
+// Returns { response } with an error, or { metadata } with the requested record (may be null)
+async function authorizeImage(request, url, r2Key, env, kvStore, corsHeaders) {
+  const shareToken = url.searchParams.get('share');
+  if (!shareToken) {
+    const { session, role, response } = await authorize(request, env, kvStore, 'viewer', corsHeaders);
+    if (response) return { response };
+
+    const metadata = await getRequestedImage(kvStore, url, r2Key);
+    if (metadata && !isPublished(metadata) && !canManageImage(session, role, metadata)) {
+      return { response: jsonResponse({ error: 'Image not found' }, 404, corsHeaders) };
+    }
+    return { metadata };
+  }
+
+  const share = await getShare(shareToken, env, kvStore);
+  if (!share) return { response: invalidShareResponse(corsHeaders) };
+
+  const metadata = await getRequestedImage(kvStore, url, r2Key);
+  if (!metadata || !isPublished(metadata) || (metadata.group || 'Ungrouped') !== share.group) {
+    console.warn('❌ Share link for', share.group, 'does not cover', r2Key);
+    return { response: jsonResponse({ error: 'Forbidden', details: 'This image is not part of the shared group' }, 403, corsHeaders) };
+  }
+  return { metadata };
+}
+
+// List share links handler (admin)
+// Returns { shares } with the group's active links, newest first
+async function handleGetShares(groupName, env, kvStore, corsHeaders) {
+  try {
+    const shares = (await listShares(kvStore))
+      .filter(share => share.group === groupName)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return jsonResponse({ shares: await Promise.all(shares.map(share => getShareLink(share, env))) }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Get shares error:', error);
+    return jsonResponse({ error: 'Failed to load share links', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Create share link handler (admin)
+// Body: { expiresInDays } (1-90, default 7). Returns { share } with its token and url
+async function handleCreateShare(groupName, request, session, env, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const days = body.expiresInDays === undefined ? SHARE_DEFAULT_DAYS : Number(body.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > SHARE_MAX_DAYS) {
+      return jsonResponse({ error: 'Invalid request', details: `expiresInDays must be a whole number from 1 to ${SHARE_MAX_DAYS}` }, 400, corsHeaders);
+    }
+
+    await ensureGalleryIndex(kvStore);
+    if (!(await groupHasImages(kvStore, groupName))) {
+      return jsonResponse({ error: 'Group not found' }, 404, corsHeaders);
+    }
+
+    const now = new Date();
+    const share = {
+      id: crypto.randomUUID(),
+      group: groupName,
+      createdBy: session.sub,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString()
+    };
+    await putShare(kvStore, share);
+
+    console.log('🔗 Created share link for', groupName, 'until', share.expiresAt);
+    await audit('share.create', groupName, { shareId: share.id, expiresAt: share.expiresAt });
+    return jsonResponse({ success: true, share: await getShareLink(share, env) }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Create share error:', error);
+    return jsonResponse({ error: 'Failed to create share link', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Revoke share link handler (admin)
+async function handleRevokeShare(shareId, kvStore, corsHeaders, audit) {
+  try {
+    const shareData = await kvStore.get(`share:${shareId}`);
+    if (!shareData) {
+      return jsonResponse({ error: 'Share link not found' }, 404, corsHeaders);
+    }
+    await kvStore.delete(`share:${shareId}`);
+    console.log('🔒 Revoked share link:', shareId);
+    await audit('share.revoke', JSON.parse(shareData).group, { shareId });
+    return jsonResponse({ success: true }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    return jsonResponse({ error: 'Failed to revoke share link', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Shared group handler (public, needs ?share=<token>)
+// Query: share, cursor, limit. Returns { group, expiresAt, images, nextCursor } in the group's order
+async function handleGetSharedGroup(url, env, kvStore, corsHeaders) {
+  try {
+    const share = await getShare(url.searchParams.get('share'), env, kvStore);
+    if (!share) return invalidShareResponse(corsHeaders);
+
+    const limit = Math.min(
+      Math.max(parseInt(url.searchParams.get('limit'), 10) || GALLERY_PAGE_SIZE, 1),
+      GALLERY_MAX_PAGE_SIZE
+    );
+    const page = await listGalleryPage(kvStore, { group: share.group, cursor: url.searchParams.get('cursor') || undefined, limit });
+    const images = page.images.map(metadata => Object.fromEntries(
+      SHARED_IMAGE_FIELDS.filter(field => metadata[field] !== undefined).map(field => [field, metadata[field]])
+    ));
+
+    return jsonResponse({ group: share.group, expiresAt: share.expiresAt, images, nextCursor: page.nextCursor }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Get shared group error:', error);
+    return jsonResponse({ error: 'Failed to load shared group', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Group archives
+// /api/groups/:name/archive streams a ZIP of the group's originals straight from R2, one file at a
+// time, so memory use does not grow with the size of the group. Photos are already compressed, so
+// entries are stored as they are. Each entry's CRC and size follow its data in a data descriptor,
+// since the CRC is only known once the file has been streamed. There is no ZIP64 support, so an
+// archive holds at most 65535 files and 4GB.
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+const ZIP_FLAGS = 0x0808; // bit 3: data descriptor, bit 11: UTF-8 names
+const ZIP_VERSION = 20;
+const ARCHIVE_NAME_LENGTH = 60;
+
+// Little-endian fields as [size in bytes, value] pairs
+function packLittleEndian(fields) {
+  const bytes = new Uint8Array(fields.reduce((total, [size]) => total + size, 0));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  for (const [size, value] of fields) {
+    if (size === 2) {
+      view.setUint16(offset, value, true);
+    } else {
+      view.setUint32(offset, value, true);
+    }
+    offset += size;
+  }
+  return bytes;
+}
+
+// MS-DOS time and date of a ZIP entry (two-second precision, from 1980)
+function getDosDateTime(date) {
+  const valid = isNaN(date.getTime()) ? new Date(0) : date;
+  const year = Math.max(valid.getUTCFullYear(), 1980);
+  return {
+    time: (valid.getUTCHours() << 11) | (valid.getUTCMinutes() << 5) | Math.floor(valid.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((valid.getUTCMonth() + 1) << 5) | valid.getUTCDate()
+  };
+}
+
+// Text that is safe to use in a file name on Windows, macOS and Linux
+function toFileName(text) {
+  return String(text)
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, ARCHIVE_NAME_LENGTH)
+    .replace(/[\s.]+$/, '');
+}
+
+// "03 - Caption.jpg", or "Group 03.jpg" for images without a caption. The position in the group
+// comes first, so names are unique and sort in the group's order.
+function getArchiveEntryName(metadata, index, total, group) {
+  const position = String(index + 1).padStart(String(total).length, '0');
+  const caption = metadata.caption ? toFileName(metadata.caption) : '';
+  const extension = (metadata.fileName.split('.').pop() || 'jpg').toLowerCase();
+  const base = caption ? `${position} - ${caption}` : `${toFileName(group) || 'Photo'} ${position}`;
+  return `${base}.${extension}`;
+}
+
+// The original's R2 object (metadata only), looking under the legacy layouts too
+async function findImageObject(r2Bucket, fileName) {
+  const canonicalKey = getCanonicalImageKey(fileName);
+  for (const r2Key of [canonicalKey, ...getLegacyImageKeys(canonicalKey)]) {
+    const object = await r2Bucket.head(r2Key);
+    if (object) return object;
+  }
+  return null;
+}
+
+// Write the archive for entries of { name, r2Key, size, uploadedAt } to a writable stream
+async function writeZipArchive(writable, r2Bucket, entries) {
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const centralDirectory = [];
+  let offset = 0;
+
+  try {
+    for (const entry of entries) {
+      const name = encoder.encode(entry.name);
+      const { time, date } = getDosDateTime(new Date(entry.uploadedAt));
+      const object = await r2Bucket.get(entry.r2Key);
+      if (!object) throw new Error(`${entry.r2Key} was deleted while the archive was being written`);
+
+      await writer.write(concatBytes([packLittleEndian([
+        [4, 0x04034b50], [2, ZIP_VERSION], [2, ZIP_FLAGS], [2, 0], [2, time], [2, date],
+        [4, 0], [4, 0], [4, 0], [2, name.length], [2, 0]
+      ]), name]));
+
+      let crc = 0;
+      let size = 0;
+      const reader = object.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        crc = crc32(value, crc);
+        size += value.length;
+        await writer.write(value);
+      }
+      // Content-Length was computed from the sizes listed before streaming
+      if (size !== entry.size) throw new Error(`${entry.r2Key} changed while the archive was being written`);
+
+      await writer.write(packLittleEndian([[4, 0x08074b50], [4, crc], [4, size], [4, size]]));
+      centralDirectory.push(concatBytes([packLittleEndian([
+        [4, 0x02014b50], [2, ZIP_VERSION], [2, ZIP_VERSION], [2, ZIP_FLAGS], [2, 0], [2, time], [2, date],
+        [4, crc], [4, size], [4, size], [2, name.length], [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]
+      ]), name]));
+      offset += 30 + name.length + size + 16;
+    }
+
+    const directory = concatBytes(centralDirectory);
+    await writer.write(directory);
+    await writer.write(packLittleEndian([
+      [4, 0x06054b50], [2, 0], [2, 0], [2, entries.length], [2, entries.length],
+      [4, directory.length], [4, offset], [2, 0]
+    ]));
+    await writer.close();
+  } catch (error) {
+    await writer.abort(error);
+    throw error;
+  }
+}
+
+// Exact size of the archive for these entries
+function getZipArchiveSize(entries) {
+  const encoder = new TextEncoder();
+  return entries.reduce((total, entry) => {
+    const nameLength = encoder.encode(entry.name).length;
+    return total + 30 + nameLength + entry.size + 16 + 46 + nameLength;
+  }, 22);
+}
+
+// Group archive handler (viewer, or a share link for the group)
+// Streams <group>.zip with every original in the group's order, or only the images in
+// ?ids= (comma separated). Entries keep their position in the group in their names.
+async function handleGetGroupArchive(groupName, url, request, env, r2Bucket, kvStore, corsHeaders, waitUntil) {
+  try {
+    const denied = await authorizeGroup(request, url, groupName, env, kvStore, corsHeaders);
+    if (denied) return denied;
+
+    await ensureGalleryIndex(kvStore);
+    const imageIds = await listGroupImageIds(kvStore, groupName);
+    const images = [];
+    for (const imageId of imageIds) {
+      const metadataStr = await kvStore.get(`image:${imageId}`);
+      if (metadataStr) images.push(JSON.parse(metadataStr));
+    }
+    if (images.length === 0) {
+      return jsonResponse({ error: 'Group not found' }, 404, corsHeaders);
+    }
+    const selectedIds = url.searchParams.get('ids') ? new Set(url.searchParams.get('ids').split(',')) : null;
+    const selected = selectedIds ? images.filter(metadata => selectedIds.has(metadata.id)) : images;
+    if (selected.length === 0) {
+      return jsonResponse({ error: 'Images not found', details: `None of the selected images are in "${groupName}"` }, 404, corsHeaders);
+    }
+    if (selected.length > ZIP_MAX_ENTRIES) {
+      return jsonResponse({ error: 'Group too large', details: `Archives can hold at most ${ZIP_MAX_ENTRIES} images` }, 413, corsHeaders);
+    }
+
+    const entries = [];
+    for (const [index, metadata] of images.entries()) {
+      if (selectedIds && !selectedIds.has(metadata.id)) continue;
+      const object = await findImageObject(r2Bucket, metadata.fileName);
+      if (!object) {
+        console.warn('⚠️ Skipping missing image in archive:', metadata.fileName);
+        continue;
+      }
+      entries.push({
+        name: getArchiveEntryName(metadata, index, images.length, groupName),
+        r2Key: object.key,
+        size: object.size,
+        uploadedAt: metadata.uploadedAt
+      });
+    }
+
+    const archiveSize = getZipArchiveSize(entries);
+    if (archiveSize > ZIP_MAX_SIZE) {
+      return jsonResponse({ error: 'Group too large', details: 'Archives can be at most 4GB. Download the images in smaller groups.' }, 413, corsHeaders);
+    }
+
+    const archiveName = `${toFileName(groupName) || 'gallery'}${selectedIds ? ` (${entries.length} photos)` : ''}.zip`;
+    const headers = {
+      ...corsHeaders,
+      'Content-Type': 'application/zip',
+      'Content-Length': String(archiveSize),
+      'Content-Disposition': `attachment; filename="${archiveName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(archiveName)}`,
+      'Cache-Control': 'private, no-store'
+    };
+    if (request.method === 'HEAD') {
+      return new Response(null, { headers });
+    }
+
+    // Workers only send a Content-Length for streamed bodies through a FixedLengthStream
+    const { readable, writable } = typeof FixedLengthStream === 'function'
+      ? new FixedLengthStream(archiveSize)
+      : new TransformStream();
+    waitUntil(writeZipArchive(writable, r2Bucket, entries).catch(error => {
+      console.error('Archive stream error:', groupName, error);
+    }));
+
+    console.log('📦 Streaming archive:', groupName, `(${entries.length} images, ${archiveSize} bytes)`);
+    return new Response(readable, { headers });
+  } catch (error) {
+    console.error('Group archive error:', error);
+    return jsonResponse({ error: 'Failed to create archive', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Moderation
+// Uploads from anyone but admins and trusted users (user:<name> with trusted: true) are stored with
+// status 'pending'. Pending images have no gallery, group or search keys, so /api/gallery, /api/groups
+// and /api/search do not show them; moderation:<uploaded ms>:<id> lists them oldest first instead.
+// Approving publishes an image; rejecting moves it to the trash with the reason.
+const MODERATION_PAGE_SIZE = 50;
+const MAX_REJECTION_REASON_LENGTH = 500;
+
+function getModerationKey(metadata) {
+  return `moderation:${String(new Date(metadata.uploadedAt).getTime()).padStart(13, '0')}:${metadata.id}`;
+}
+
+// Images without a status were uploaded before moderation existed and count as approved
+function isPublished(metadata) {
+  return !metadata.deletedAt && metadata.status !== 'pending' && metadata.status !== 'rejected';
+}
+
+async function needsReview(kvStore, session, role) {
+  if (hasRole(role, 'admin')) return false;
+  const userData = await kvStore.get(`user:${session.sub}`);
+  return !(userData && JSON.parse(userData).trusted);
+}
+
+async function publishImage(kvStore, metadata) {
+  await addToIndex(kvStore, metadata);
+  await registerGroup(kvStore, metadata.group || 'Ungrouped');
+}
+
+async function queueForReview(kvStore, metadata) {
+  await kvStore.put(getModerationKey(metadata), metadata.id, {
+    metadata: { group: metadata.group || 'Ungrouped', uploadedBy: metadata.uploadedBy || null }
+  });
+}
+
+// Every queue entry as { key, imageId, group, uploadedBy }, oldest first
+async function listModerationEntries(kvStore) {
+  const entries = [];
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'moderation:', cursor });
+    for (const key of list.keys) {
+      entries.push({
+        key: key.name,
+        imageId: key.name.split(':')[2],
+        group: key.metadata?.group,
+        uploadedBy: key.metadata?.uploadedBy
+      });
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return entries;
+}
+
+async function getPendingImage(kvStore, imageId) {
+  const metadataStr = await kvStore.get(`image:${imageId}`);
+  const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+  return metadata && !metadata.deletedAt && metadata.status === 'pending' ? metadata : null;
+}
+
+// Get moderation queue handler (admin)
+// Query: cursor, limit. Returns { images, nextCursor }, oldest upload first
+async function handleGetModerationQueue(url, kvStore, corsHeaders) {
+  try {
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || MODERATION_PAGE_SIZE, 1), GALLERY_MAX_PAGE_SIZE);
+    const list = await kvStore.list({ prefix: 'moderation:', limit, cursor: url.searchParams.get('cursor') || undefined });
+
+    const images = [];
+    for (const key of list.keys) {
+      const metadata = await getPendingImage(kvStore, key.name.split(':')[2]);
+      if (!metadata) continue;
+      metadata.url = `/api/image/${metadata.fileName}`;
+      images.push(metadata);
+    }
+
+    return jsonResponse({ images, nextCursor: list.list_complete ? null : list.cursor }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    return jsonResponse({ error: 'Failed to load moderation queue', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Approve handler (admin)
+// Body: { ids: [...] } and/or { uploader } to approve everything pending from one uploader;
+// with { uploader, trust: true } that user's later uploads skip the queue
+async function handleApproveImages(request, session, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const imageIds = new Set(Array.isArray(body.ids) ? body.ids.map(String) : []);
+    const uploader = typeof body.uploader === 'string' && body.uploader ? body.uploader : null;
+    if (imageIds.size === 0 && !uploader) {
+      return jsonResponse({ error: 'Invalid request', details: 'Provide ids and/or an uploader' }, 400, corsHeaders);
+    }
+    if (uploader) {
+      (await listModerationEntries(kvStore))
+        .filter(entry => entry.uploadedBy === uploader)
+        .forEach(entry => imageIds.add(entry.imageId));
+    }
+
+    const approved = [];
+    const notFound = [];
+    for (const imageId of imageIds) {
+      const metadata = await getPendingImage(kvStore, imageId);
+      if (!metadata) {
+        notFound.push(imageId);
+        continue;
+      }
+      const updated = { ...metadata, status: 'approved', reviewedBy: session.sub, reviewedAt: new Date().toISOString() };
+      await kvStore.put(`image:${imageId}`, JSON.stringify(updated));
+      await publishImage(kvStore, updated);
+      await kvStore.delete(getModerationKey(metadata));
+      approved.push(updated);
+    }
+
+    let trusted = false;
+    if (uploader && body.trust === true) {
+      const userData = await kvStore.get(`user:${uploader}`);
+      if (userData) {
+        await kvStore.put(`user:${uploader}`, JSON.stringify({ ...JSON.parse(userData), trusted: true }));
+        trusted = true;
+      }
+    }
+
+    console.log('✅ Approved', approved.length, 'images', uploader ? `from ${uploader}` : '');
+    await audit('image.approve', uploader, { imageIds: approved.map(image => image.id), trusted });
+    return jsonResponse({ success: true, approved, notFound, trusted }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Approve images error:', error);
+    return jsonResponse({ error: 'Approve failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Reject handler (admin)
+// Body: { ids: [...], reason }. Rejected images go to the trash, where the reason is shown
+async function handleRejectImages(request, session, kvStore, corsHeaders, audit) {
+  try {
+    const { body, response } = await readJsonBody(request, corsHeaders);
+    if (response) return response;
+
+    const imageIds = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (imageIds.length === 0) {
+      return jsonResponse({ error: 'Invalid request', details: 'Provide the ids to reject' }, 400, corsHeaders);
+    }
+    if (reason.length > MAX_REJECTION_REASON_LENGTH) {
+      return jsonResponse({ error: 'Invalid request', details: `reason must be at most ${MAX_REJECTION_REASON_LENGTH} characters` }, 400, corsHeaders);
+    }
+
+    const rejected = [];
+    const notFound = [];
+    for (const imageId of imageIds) {
+      const metadata = await getPendingImage(kvStore, imageId);
+      if (!metadata) {
+        notFound.push(imageId);
+        continue;
+      }
+      const updated = { ...metadata, status: 'rejected', reviewedBy: session.sub, reviewedAt: new Date().toISOString() };
+      if (reason) updated.rejectionReason = reason;
+      rejected.push(await moveToTrash(kvStore, updated, session.sub));
+    }
+
+    console.log('🚫 Rejected', rejected.length, 'images');
+    await audit('image.reject', null, { imageIds: rejected.map(image => image.id), reason: reason || null });
+    return jsonResponse({ success: true, rejected, notFound }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Reject images error:', error);
+    return jsonResponse({ error: 'Reject failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Trash
+// Deleted images keep their R2 objects and image:<id> record (with deletedAt set) but lose their
+// gallery index keys, so they disappear from /api/gallery and /api/groups.
+// trash:<inverted deletedAt>:<id> lists them newest-deleted first, with the group in the key metadata.
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_PAGE_SIZE = 50;
+
+function getTrashRetentionDays(env) {
+  const days = parseInt(env.TRASH_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
 
-      await kvStore.put(`image:${imageId}`, JSON.stringify(metadata));
+function getTrashKey(metadata) {
+  return `trash:${invertTimestamp(metadata.deletedAt)}:${metadata.id}`;
+}
 
-      // Add to group list
-      const groupKey = `group:${group}`;
-      const existingGroup = await kvStore.get(groupKey);
-      const groupImages = existingGroup ? JSON.parse(existingGroup) : [];
-      groupImages.push(imageId);
-      await kvStore.put(groupKey, JSON.stringify(groupImages));
+async function moveToTrash(kvStore, metadata, actor) {
+  const trashed = { ...metadata, deletedAt: new Date().toISOString(), deletedBy: actor };
+  await kvStore.put(`image:${metadata.id}`, JSON.stringify(trashed));
+  await kvStore.put(getTrashKey(trashed), metadata.id, { metadata: { group: metadata.group || 'Ungrouped' } });
+  if (metadata.status === 'pending' || metadata.status === 'rejected') {
+    await kvStore.delete(getModerationKey(metadata));
+  } else {
+    await removeFromIndex(kvStore, metadata);
+  }
+  return trashed;
+}
 
-      uploadedImages.push(metadata);
-    }
+// Restored images go back where they were: the gallery, or the moderation queue for images that
+// were still pending or were rejected
+async function restoreFromTrash(kvStore, metadata) {
+  const restored = { ...metadata };
+  delete restored.deletedAt;
+  delete restored.deletedBy;
+  if (restored.status === 'pending' || restored.status === 'rejected') {
+    restored.status = 'pending';
+    delete restored.rejectionReason;
+    delete restored.reviewedBy;
+    delete restored.reviewedAt;
+    await kvStore.put(`image:${metadata.id}`, JSON.stringify(restored));
+    await queueForReview(kvStore, restored);
+  } else {
+    await kvStore.put(`image:${metadata.id}`, JSON.stringify(restored));
+    await publishImage(kvStore, restored);
+  }
+  await kvStore.delete(getTrashKey(metadata));
+  return restored;
+}
 
-    // Update gallery index
-    const galleryIndex = await kvStore.get('gallery:index');
-    const index = galleryIndex ? JSON.parse(galleryIndex) : [];
-    uploadedImages.forEach(img => {
-      if (!index.includes(img.id)) {
-        index.push(img.id);
-      }
-    });
-    await kvStore.put('gallery:index', JSON.stringify(index));
+// Permanently delete a trashed image: R2 objects first (unless a linked copy still uses them),
+// then its records
+async function purgeImage(r2Bucket, kvStore, metadata) {
+  // Records from before the object keys get theirs first (see ensureGalleryIndex)
+  await ensureGalleryIndex(kvStore);
+  if (!(await hasSharedObjects(kvStore, metadata))) {
+    await r2Bucket.delete(getImageObjectKeys(metadata));
+  }
+  await kvStore.delete(getObjectRefKey(metadata));
+  for (const key of getHashKeys(metadata)) {
+    await kvStore.delete(key);
+  }
+  await kvStore.delete(`image:${metadata.id}`);
+  await kvStore.delete(getTrashKey(metadata));
+}
 
-    console.log('✅ Upload complete:', {
-      imagesUploaded: uploadedImages.length,
-      totalImages: index.length,
-      uploadedImageIds: uploadedImages.map(img => img.id)
-    });
-    
-    if (uploadedImages.length === 0) {
-      console.error('⚠️ WARNING: No images were successfully uploaded!');
-      console.error('   This means all files were skipped. Check logs above for details.');
-      return new Response(
-        JSON.stringify({ 
-          success: false, 
-          error: 'No images were processed. All files were skipped.',
-          images: []
-        }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+// Every trash entry as { key, imageId, group, deletedAt }, newest-deleted first
+async function listTrashEntries(kvStore) {
+  const entries = [];
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'trash:', cursor });
+    for (const key of list.keys) {
+      const [, invertedTime, imageId] = key.name.split(':');
+      entries.push({
+        key: key.name,
+        imageId,
+        group: key.metadata?.group,
+        deletedAt: new Date(MAX_TIMESTAMP - Number(invertedTime)).toISOString()
+      });
     }
-
-    return new Response(
-      JSON.stringify({ success: true, images: uploadedImages }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
-  } catch (error) {
-    console.error('Upload error:', error);
-    return new Response(
-      JSON.stringify({ 
-        error: 'Upload failed',
-        details: error.message || 'An unexpected error occurred during upload',
-        troubleshooting: error.message && error.message.includes('binding') 
-          ? 'Check R2 binding: gallery-imagessda and KV binding: GALLERY_SSDA'
-          : 'Please check your network connection and try again. If the problem persists, check the browser console for more details.'
-      }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
-  }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return entries;
 }
 
-// Helper function to determine Content-Type from file extension
-function getContentTypeFromExtension(ext) {
-  const contentTypes = {
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'png': 'image/png',
-    'gif': 'image/gif',
-    'webp': 'image/webp',
-    'svg': 'image/svg+xml',
-    'bmp': 'image/bmp',
-  };
-  return contentTypes[ext.toLowerCase()] || 'image/jpeg';
+async function getTrashedImage(kvStore, imageId) {
+  const metadataStr = await kvStore.get(`image:${imageId}`);
+  const metadata = metadataStr ? JSON.parse(metadataStr) : null;
+  return metadata && metadata.deletedAt ? metadata : null;
 }
 
-// Get gallery handler
-async function handleGetGallery(kvStore, r2Bucket, corsHeaders) {
+// Get trash handler (admin)
+// Query: cursor, limit. Returns { images, nextCursor, retentionDays } with each image's purgeAt
+async function handleGetTrash(url, env, kvStore, corsHeaders) {
   try {
-    const galleryIndex = await kvStore.get('gallery:index');
-    const index = galleryIndex ? JSON.parse(galleryIndex) : [];
+    const limit = Math.min(
+      Math.max(parseInt(url.searchParams.get('limit'), 10) || TRASH_PAGE_SIZE, 1),
+      GALLERY_MAX_PAGE_SIZE
+    );
+    const retentionDays = getTrashRetentionDays(env);
+    const list = await kvStore.list({ prefix: 'trash:', limit, cursor: url.searchParams.get('cursor') || undefined });
 
     const images = [];
-
-    for (const imageId of index) {
-      const metadataStr = await kvStore.get(`image:${imageId}`);
-      if (metadataStr) {
-        const metadata = JSON.parse(metadataStr);
-        // Update URL to use the image endpoint
-        metadata.url = `/api/image/${metadata.fileName}`;
-        images.push(metadata);
-      }
+    for (const key of list.keys) {
+      const metadata = await getTrashedImage(kvStore, key.name.split(':')[2]);
+      if (!metadata) continue;
+      const purgeAt = new Date(new Date(metadata.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+      images.push({ ...metadata, purgeAt: purgeAt.toISOString() });
     }
 
-    // Sort by upload date (newest first)
-    images.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
-
-    return new Response(
-      JSON.stringify({ images }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    return jsonResponse({
+      images,
+      nextCursor: list.list_complete ? null : list.cursor,
+      retentionDays
+    }, 200, corsHeaders);
   } catch (error) {
-    console.error('Get gallery error:', error);
-    return new Response(
-      JSON.stringify({ error: 'Failed to load gallery' }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    console.error('Get trash error:', error);
+    return jsonResponse({ error: 'Failed to load trash', details: error.message }, 500, corsHeaders);
   }
 }
 
-// Get groups handler
-async function handleGetGroups(kvStore, corsHeaders) {
+// Restore handler (admin)
+// Body: { ids: [...] } and/or { group } to restore every trashed image of a group
+async function handleRestoreFromTrash(request, kvStore, corsHeaders, audit) {
   try {
-    const list = await kvStore.list({ prefix: 'group:' });
-    const groups = [];
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      return jsonResponse({ error: 'Invalid request', details: 'Expected a JSON body' }, 400, corsHeaders);
+    }
 
-    for (const key of list.keys) {
-      const groupName = key.name.replace('group:', '');
-      if (groupName && groupName !== 'Ungrouped') {
-        groups.push(groupName);
-      }
+    const imageIds = new Set(Array.isArray(body.ids) ? body.ids.map(String) : []);
+    if (typeof body.group === 'string' && body.group) {
+      const entries = await listTrashEntries(kvStore);
+      entries.filter(entry => entry.group === body.group).forEach(entry => imageIds.add(entry.imageId));
+    }
+    if (imageIds.size === 0) {
+      return jsonResponse({ error: 'Nothing to restore', details: 'Provide ids or a group that has trashed images' }, 400, corsHeaders);
     }
 
-    // Add Ungrouped if it exists
-    const ungrouped = await kvStore.get('group:Ungrouped');
-    if (ungrouped) {
-      groups.push('Ungrouped');
+    const restored = [];
+    const notFound = [];
+    for (const imageId of imageIds) {
+      const metadata = await getTrashedImage(kvStore, imageId);
+      if (!metadata) {
+        notFound.push(imageId);
+        continue;
+      }
+      restored.push(await restoreFromTrash(kvStore, metadata));
     }
 
-    return new Response(
-      JSON.stringify(groups.sort()),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    console.log('♻️ Restored from trash:', restored.length, 'images');
+    await audit('image.restore', null, { imageIds: restored.map(image => image.id) });
+    return jsonResponse({ success: restored.length > 0, restored, notFound }, 200, corsHeaders);
   } catch (error) {
-    console.error('Get groups error:', error);
-    return new Response(
-      JSON.stringify({ error: 'Failed to load groups' }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    console.error('Restore error:', error);
+    return jsonResponse({ error: 'Restore failed', details: error.message }, 500, corsHeaders);
   }
 }
 
-// Delete image handler
-async function handleDeleteImage(imageId, r2Bucket, kvStore, corsHeaders) {
+// Permanent delete handler (admin) for one trashed image
+async function handleDeleteFromTrash(imageId, r2Bucket, kvStore, corsHeaders, audit) {
   try {
-    // Get metadata
-    const metadataStr = await kvStore.get(`image:${imageId}`);
-    if (!metadataStr) {
-      return new Response(
-        JSON.stringify({ error: 'Image not found' }),
-        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+    const metadata = await getTrashedImage(kvStore, imageId);
+    if (!metadata) {
+      return jsonResponse({ error: 'Image not found', details: 'Image is not in the trash' }, 404, corsHeaders);
     }
+    await purgeImage(r2Bucket, kvStore, metadata);
+    await audit('image.purge', imageId, { group: metadata.group, fileName: metadata.fileName });
+    return jsonResponse({ success: true }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Delete from trash error:', error);
+    return jsonResponse({ error: 'Delete failed', details: error.message }, 500, corsHeaders);
+  }
+}
 
-    const metadata = JSON.parse(metadataStr);
-
-    // Delete from R2
-    await r2Bucket.delete(metadata.fileName);
+// Purge handler
+// Permanently deletes trashed images older than TRASH_RETENTION_DAYS (default 30) and aborts
+// abandoned multipart uploads. Runs daily from workers/trash-purge.js with "Authorization: Bearer
+// <CRON_SECRET>"; admins can also trigger it with their session.
+async function handlePurgeTrash(request, env, r2Bucket, kvStore, corsHeaders, audit) {
+  try {
+    const token = getSessionToken(request);
+    const isCron = Boolean(env.CRON_SECRET && token && timingSafeEqual(token, env.CRON_SECRET));
+    let actor = 'cron';
+    if (!isCron) {
+      const auth = await authorize(request, env, kvStore, 'admin', corsHeaders);
+      if (auth.response) return auth.response;
+      actor = auth.session.sub;
+    }
 
-    // Delete from KV
-    await kvStore.delete(`image:${imageId}`);
+    const retentionDays = getTrashRetentionDays(env);
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expired = (await listTrashEntries(kvStore)).filter(entry => new Date(entry.deletedAt).getTime() < cutoff);
 
-    // Remove from group
-    const groupKey = `group:${metadata.group}`;
-    const groupData = await kvStore.get(groupKey);
-    if (groupData) {
-      const groupImages = JSON.parse(groupData);
-      const updatedGroup = groupImages.filter(id => id !== imageId);
-      if (updatedGroup.length > 0) {
-        await kvStore.put(groupKey, JSON.stringify(updatedGroup));
+    const purged = [];
+    for (const entry of expired) {
+      const metadata = await getTrashedImage(kvStore, entry.imageId);
+      if (metadata) {
+        await purgeImage(r2Bucket, kvStore, metadata);
+        purged.push(metadata.id);
       } else {
-        await kvStore.delete(groupKey);
+        // Restored or already purged; only the trash entry is left
+        await kvStore.delete(entry.key);
       }
     }
 
-    // Remove from index
-    const galleryIndex = await kvStore.get('gallery:index');
-    if (galleryIndex) {
-      const index = JSON.parse(galleryIndex);
-      const updatedIndex = index.filter(id => id !== imageId);
-      await kvStore.put('gallery:index', JSON.stringify(updatedIndex));
-    }
+    const abortedUploads = await cleanupStaleUploads(r2Bucket, kvStore);
 
-    return new Response(
-      JSON.stringify({ success: true }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    console.log('🧹 Trash purge:', purged.length, 'images older than', retentionDays, 'days,', abortedUploads, 'stale uploads');
+    if (purged.length > 0) {
+      await audit('trash.purge', null, { imageIds: purged, retentionDays }, actor);
+    }
+    return jsonResponse({ success: true, purged: purged.length, abortedUploads, retentionDays }, 200, corsHeaders);
   } catch (error) {
-    console.error('Delete error:', error);
-    return new Response(
-      JSON.stringify({ error: 'Delete failed' }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    console.error('Purge error:', error);
+    return jsonResponse({ error: 'Purge failed', details: error.message }, 500, corsHeaders);
   }
 }
 
-// Delete group handler
-async function handleDeleteGroup(groupName, r2Bucket, kvStore, corsHeaders) {
-  try {
-    const groupKey = `group:${groupName}`;
-    const groupData = await kvStore.get(groupKey);
+// Storage layout
+// Images live under gallery-imagessda/. Older uploads used the prefixes below or the bucket root;
+// /api/maintenance/migrate moves them so that only the canonical prefix is left.
+const IMAGE_KEY_PREFIX = 'gallery-imagessda/';
+const LEGACY_IMAGE_KEY_PREFIXES = ['gallery-images/gallery-image/', 'gallery-images/', 'gallery-image/'];
 
-    if (!groupData) {
-      return new Response(
-        JSON.stringify({ error: 'Group not found' }),
-        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+function isLegacyImageKey(r2Key) {
+  return !r2Key.includes('/') || LEGACY_IMAGE_KEY_PREFIXES.some(prefix => r2Key.startsWith(prefix));
+}
 
-    const groupImages = JSON.parse(groupData);
+// Canonical R2 key for an image path in any of the old formats:
+// gallery-images/gallery-image/image-123.jpg, gallery-images/image-123.jpg, image-123.jpg
+// -> gallery-imagessda/image-123.jpg
+function getCanonicalImageKey(path) {
+  if (path.startsWith(IMAGE_KEY_PREFIX)) return path;
+  const legacyPrefix = LEGACY_IMAGE_KEY_PREFIXES.find(prefix => path.startsWith(prefix));
+  return IMAGE_KEY_PREFIX + (legacyPrefix ? path.substring(legacyPrefix.length) : path);
+}
 
-    // Delete all images in the group
-    for (const imageId of groupImages) {
-      const metadataStr = await kvStore.get(`image:${imageId}`);
-      if (metadataStr) {
-        const metadata = JSON.parse(metadataStr);
-        await r2Bucket.delete(metadata.fileName);
-        await kvStore.delete(`image:${imageId}`);
-      }
-    }
+// Keys where an image with this canonical key may still be stored under an old layout
+function getLegacyImageKeys(canonicalKey) {
+  const imageName = canonicalKey.substring(IMAGE_KEY_PREFIX.length);
+  const rootKey = imageName.split('/').pop();
+  return [...LEGACY_IMAGE_KEY_PREFIXES.map(prefix => prefix + imageName), rootKey];
+}
 
-    // Delete group
-    await kvStore.delete(groupKey);
+// HTTP date precision is one second, so compare upload times truncated to seconds
+function getLastModifiedTime(object) {
+  return Math.floor(object.uploaded.getTime() / 1000) * 1000;
+}
 
-    // Update index
-    const galleryIndex = await kvStore.get('gallery:index');
-    if (galleryIndex) {
-      const index = JSON.parse(galleryIndex);
-      const updatedIndex = index.filter(id => !groupImages.includes(id));
-      await kvStore.put('gallery:index', JSON.stringify(updatedIndex));
-    }
+// Conditional GET check: If-None-Match takes precedence over If-Modified-Since
+function isNotModified(request, object) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    const etag = object.httpEtag.replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => {
+      const candidate = tag.trim();
+      return candidate === '*' || candidate.replace(/^W\//, '') === etag;
+    });
+  }
 
-    return new Response(
-      JSON.stringify({ success: true }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
-  } catch (error) {
-    console.error('Delete group error:', error);
-    return new Response(
-      JSON.stringify({ error: 'Delete group failed' }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  if (!isNaN(ifModifiedSince) && object.uploaded) {
+    return getLastModifiedTime(object) <= ifModifiedSince;
+  }
+  return false;
+}
+
+// Parse a single "bytes=start-end" Range header against the object size
+// Returns null to serve the whole object (no range, bad syntax, multiple ranges or a stale If-Range),
+// { unsatisfiable: true } for a 416, or { offset, length }
+function getRequestedRange(request, object) {
+  const header = request.headers.get('Range');
+  if (!header) return null;
+
+  // If-Range: only honour the range when the client's copy is still current
+  const ifRange = request.headers.get('If-Range');
+  if (ifRange) {
+    const isCurrent = /^(W\/)?"/.test(ifRange)
+      ? ifRange === object.httpEtag
+      : Date.parse(ifRange) === getLastModifiedTime(object);
+    if (!isCurrent) return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end = object.size - 1;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0) return { unsatisfiable: true };
+    start = Math.max(object.size - suffixLength, 0);
+  } else {
+    start = Number(match[1]);
+    if (match[2] !== '') {
+      if (Number(match[2]) < start) return null;
+      end = Math.min(Number(match[2]), end);
+    }
   }
+
+  if (start >= object.size) return { unsatisfiable: true };
+  return { offset: start, length: end - start + 1 };
 }
 
 // Get image handler (serves image from R2)
-async function handleGetImage(filename, r2Bucket, corsHeaders) {
+// size: 'thumb', 'medium' or 'original' (default). Falls back to the original when
+// the image has no variant of that size (e.g. images uploaded before variants existed).
+// id: the image record, whose variants are served (images linked into another group share
+// their original's file name).
+// Supports conditional requests (ETag / Last-Modified -> 304), HEAD and single byte ranges (206).
+async function handleGetImage(filename, url, request, env, r2Bucket, kvStore, corsHeaders) {
   try {
+    const size = url.searchParams.get('size');
+
     if (!r2Bucket) {
       console.error('R2 binding not available for image:', filename);
       return new Response(
@@ -717,73 +3885,55 @@ async function handleGetImage(filename, r2Bucket, corsHeaders) {
     }
     
     // The filename from URL should include gallery-imagessda/ prefix
-    // Handle backward compatibility with old formats
+    // Old formats (gallery-images/..., gallery-image/..., bare file names) map to the same canonical key
     console.log('🔍 handleGetImage - Received filename:', filename);
-    let r2Key = filename;
+    let r2Key = getCanonicalImageKey(filename);
+    if (r2Key !== filename) {
+      console.log('🔍 Converting to canonical key:', r2Key);
+    }
+
+    const { metadata, response } = await authorizeImage(request, url, r2Key, env, kvStore, corsHeaders);
+    if (response) return response;
     
-    // If filename already starts with gallery-imagessda/, use it as-is
-    if (filename.startsWith('gallery-imagessda/')) {
-      r2Key = filename;
-      console.log('✅ Filename already has gallery-imagessda/ prefix, using as-is:', r2Key);
-    } else {
-      // Try different formats for backward compatibility
-      if (filename.startsWith('gallery-images/gallery-image/')) {
-        // Old format: gallery-images/gallery-image/image-123.jpg -> gallery-imagessda/image-123.jpg
-        const imageName = filename.replace('gallery-images/gallery-image/', '');
-        r2Key = `gallery-imagessda/${imageName}`;
-        console.log('🔍 Converting old format to gallery-imagessda:', r2Key);
-      } else if (filename.startsWith('gallery-images/')) {
-        // Old format: gallery-images/image-123.jpg -> gallery-imagessda/image-123.jpg
-        const imageName = filename.replace('gallery-images/', '');
-        r2Key = `gallery-imagessda/${imageName}`;
-        console.log('🔍 Converting old format to gallery-imagessda:', r2Key);
-      } else if (filename.startsWith('gallery-image/')) {
-        // Old format: gallery-image/image-123.jpg -> gallery-imagessda/image-123.jpg
-        const imageName = filename.replace('gallery-image/', '');
-        r2Key = `gallery-imagessda/${imageName}`;
-        console.log('🔍 Converting old format to gallery-imagessda:', r2Key);
-      } else {
-        // No prefix, add the gallery-imagessda/ directory (just the filename)
-        // Make sure we're not adding it if filename already contains it
-        if (!filename.includes('gallery-imagessda')) {
-          r2Key = `gallery-imagessda/${filename}`;
-          console.log('🔍 Adding gallery-imagessda/ directory to filename:', r2Key);
-        } else {
-          r2Key = filename;
-          console.log('⚠️ Filename already contains gallery-imagessda, using as-is:', r2Key);
+    if (size && size !== 'original' && !IMAGE_VARIANT_SIZES.includes(size)) {
+      return jsonResponse({
+        error: 'Invalid size',
+        details: `size must be one of: ${[...IMAGE_VARIANT_SIZES, 'original'].join(', ')}`
+      }, 400, corsHeaders);
+    }
+
+    let object = null;
+
+    // Look up the requested variant in the requested record, which for a linked image is the
+    // link itself (its original may have been purged)
+    if (size && size !== 'original') {
+      const variantKey = metadata?.variants?.[size];
+      if (variantKey) {
+        object = await r2Bucket.head(variantKey);
+        if (object) {
+          console.log(`📦 Serving ${size} variant:`, variantKey);
+          r2Key = variantKey;
         }
       }
     }
-    
+
     console.log('📦 Final R2 key to fetch:', r2Key);
     
-    // Get from R2
-    let object = await r2Bucket.get(r2Key);
+    // Look up the object in R2 (metadata only; the body is fetched once we know what to send)
+    if (!object) {
+      object = await r2Bucket.head(r2Key);
+    }
     
-    // Backward compatibility: try old formats if not found
+    // Backward compatibility: objects not yet moved by /api/maintenance/migrate
+    // may still be stored under an old layout
     if (!object) {
-      // Try old gallery-images/gallery-image/ format
-      if (r2Key.startsWith('gallery-imagessda/')) {
-        const imageName = r2Key.replace('gallery-imagessda/', '');
-        const fallbackKey = `gallery-images/gallery-image/${imageName}`;
-        console.log('⚠️ Not found, trying old nested format:', fallbackKey);
-        object = await r2Bucket.get(fallbackKey);
-        if (object) r2Key = fallbackKey;
-      }
-      // Try gallery-images/ format
-      if (!object && r2Key.startsWith('gallery-imagessda/')) {
-        const imageName = r2Key.replace('gallery-imagessda/', '');
-        const fallbackKey = `gallery-images/${imageName}`;
-        console.log('⚠️ Not found, trying old gallery-images/ format:', fallbackKey);
-        object = await r2Bucket.get(fallbackKey);
-        if (object) r2Key = fallbackKey;
-      }
-      // Try root level as last resort
-      if (!object) {
-        const rootKey = filename.split('/').pop(); // Get just the filename
-        console.log('⚠️ Not found with any prefix, trying root level:', rootKey);
-        object = await r2Bucket.get(rootKey);
-        if (object) r2Key = rootKey;
+      for (const legacyKey of getLegacyImageKeys(r2Key)) {
+        console.log('⚠️ Not found, trying legacy key:', legacyKey);
+        object = await r2Bucket.head(legacyKey);
+        if (object) {
+          r2Key = legacyKey;
+          break;
+        }
       }
     }
 
@@ -828,22 +3978,52 @@ async function handleGetImage(filename, r2Bucket, corsHeaders) {
     
     // Always set Content-Type explicitly
     headers.set('Content-Type', contentType);
-    headers.set('Cache-Control', 'public, max-age=3600, must-revalidate');
-    
-    // Set Content-Length if available
-    if (object.size) {
-      headers.set('Content-Length', object.size.toString());
+    // Images need a session, so only the browser may cache them; it revalidates with the ETag.
+    // Images that are not published yet are not cached at all (not even by sw.js).
+    if (metadata && !isPublished(metadata)) {
+      headers.set('Cache-Control', 'private, no-store');
+    } else {
+      headers.set('Cache-Control', 'private, max-age=3600, must-revalidate');
     }
+    headers.set('Accept-Ranges', 'bytes');
     
-    // Set ETag if available
+    // Set ETag and Last-Modified if available
     if (object.httpEtag) {
       headers.set('ETag', object.httpEtag);
     }
+    if (object.uploaded) {
+      headers.set('Last-Modified', object.uploaded.toUTCString());
+    }
+
+    if (isNotModified(request, object)) {
+      console.log('✅ Image not modified:', r2Key);
+      headers.delete('Content-Type');
+      return new Response(null, { status: 304, headers });
+    }
+
+    const range = getRequestedRange(request, object);
+    if (range && range.unsatisfiable) {
+      headers.set('Content-Range', `bytes */${object.size}`);
+      headers.set('Content-Type', 'text/plain');
+      return new Response('Requested range not satisfiable', { status: 416, headers });
+    }
 
-    console.log('✅ Serving image:', r2Key, 'Content-Type:', contentType, 'Size:', object.size, 'bytes');
+    const status = range ? 206 : 200;
+    headers.set('Content-Length', (range ? range.length : object.size).toString());
+    if (range) {
+      headers.set('Content-Range', `bytes ${range.offset}-${range.offset + range.length - 1}/${object.size}`);
+    }
+
+    if (request.method === 'HEAD') {
+      return new Response(null, { status, headers });
+    }
+
+    const result = await r2Bucket.get(r2Key, range ? { range } : undefined);
+
+    console.log('✅ Serving image:', r2Key, 'Content-Type:', contentType, 'Status:', status, 'Size:', object.size, 'bytes');
 
     // Stream response
-    if (!object.body) {
+    if (!result || !result.body) {
       console.error('❌ Object body is null for:', r2Key);
       return new Response('Image data not available', {
         status: 500,
@@ -851,7 +4031,7 @@ async function handleGetImage(filename, r2Bucket, corsHeaders) {
       });
     }
 
-    return new Response(object.body, { headers });
+    return new Response(result.body, { status, headers });
   } catch (error) {
     console.error('Get image error:', error);
     return new Response('Error loading image: ' + error.message, { 
@@ -861,3 +4041,299 @@ async function handleGetImage(filename, r2Bucket, corsHeaders) {
   }
 }
 
+
+// Maintenance
+// Compares the R2 bucket with the image:* records in KV and moves objects stored under
+// old key layouts to the canonical gallery-imagessda/ prefix.
+const MIGRATE_BATCH_SIZE = 50; // objects moved per /api/maintenance/migrate call
+const SCRUB_BATCH_SIZE = 25; // records checked per /api/maintenance/scrub call
+
+async function listAllObjects(r2Bucket) {
+  const objects = new Map();
+  let cursor;
+  do {
+    const list = await r2Bucket.list({ cursor });
+    for (const object of list.objects) {
+      objects.set(object.key, object);
+    }
+    cursor = list.truncated ? list.cursor : undefined;
+  } while (cursor);
+  return objects;
+}
+
+async function listAllImageRecords(kvStore) {
+  const records = [];
+  let cursor;
+  do {
+    const list = await kvStore.list({ prefix: 'image:', cursor });
+    for (const key of list.keys) {
+      const metadataStr = await kvStore.get(key.name);
+      if (metadataStr) records.push(JSON.parse(metadataStr));
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+  return records;
+}
+
+// Find where a key referenced by a record is actually stored (null if nowhere)
+function findStoredKey(objects, r2Key) {
+  if (objects.has(r2Key)) return r2Key;
+  const canonicalKey = getCanonicalImageKey(r2Key);
+  return [canonicalKey, ...getLegacyImageKeys(canonicalKey)].find(key => objects.has(key)) || null;
+}
+
+// Walk every record and object once
+// Returns the objects and records plus:
+//   orphans         objects no record points at
+//   dangling        record references whose object is missing
+//   legacyObjects   objects stored under an old layout
+//   legacyRecords   record references that are not the canonical key of an existing object
+async function scanStorage(r2Bucket, kvStore) {
+  const objects = await listAllObjects(r2Bucket);
+  const records = await listAllImageRecords(kvStore);
+  const referencedBy = new Map();
+  const dangling = [];
+  const legacyRecords = [];
+
+  for (const metadata of records) {
+    for (const r2Key of getImageObjectKeys(metadata)) {
+      const storedKey = findStoredKey(objects, r2Key);
+      if (!storedKey) {
+        dangling.push({ id: metadata.id, group: metadata.group, key: r2Key });
+        continue;
+      }
+      if (!referencedBy.has(storedKey)) referencedBy.set(storedKey, []);
+      referencedBy.get(storedKey).push(metadata.id);
+      if (storedKey !== r2Key || isLegacyImageKey(storedKey)) {
+        legacyRecords.push({ id: metadata.id, key: r2Key, storedAt: storedKey });
+      }
+    }
+  }
+
+  const orphans = [];
+  const legacyObjects = [];
+  for (const object of objects.values()) {
+    if (!referencedBy.has(object.key)) {
+      orphans.push({ key: object.key, size: object.size, uploaded: object.uploaded });
+    }
+    if (isLegacyImageKey(object.key)) {
+      legacyObjects.push({
+        key: object.key,
+        canonicalKey: getCanonicalImageKey(object.key),
+        imageIds: referencedBy.get(object.key) || []
+      });
+    }
+  }
+
+  return { objects, records, orphans, dangling, legacyObjects, legacyRecords };
+}
+
+// Storage check handler (admin)
+// Read-only report of orphaned objects, dangling records and legacy keys
+async function handleMaintenanceCheck(r2Bucket, kvStore, corsHeaders) {
+  try {
+    const { objects, records, orphans, dangling, legacyObjects, legacyRecords } = await scanStorage(r2Bucket, kvStore);
+
+    console.log('🔧 Storage check:', objects.size, 'objects,', records.length, 'records,',
+      orphans.length, 'orphans,', dangling.length, 'dangling,', legacyObjects.length, 'legacy');
+
+    return jsonResponse({
+      summary: {
+        objects: objects.size,
+        records: records.length,
+        orphans: orphans.length,
+        dangling: dangling.length,
+        legacyObjects: legacyObjects.length,
+        legacyRecords: legacyRecords.length
+      },
+      orphans,
+      dangling,
+      legacyObjects,
+      legacyRecords
+    }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Storage check error:', error);
+    return jsonResponse({ error: 'Storage check failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Copy an object to a new key and verify the copy (R2 has no rename)
+async function copyObject(r2Bucket, fromKey, toKey) {
+  const source = await r2Bucket.get(fromKey);
+  if (!source) throw new Error(`Object ${fromKey} disappeared`);
+  await r2Bucket.put(toKey, source.body, {
+    httpMetadata: source.httpMetadata,
+    customMetadata: source.customMetadata,
+  });
+  const copy = await r2Bucket.head(toKey);
+  if (!copy || copy.size !== source.size) {
+    throw new Error(`Copy of ${fromKey} to ${toKey} could not be verified`);
+  }
+}
+
+// Legacy migration handler (admin)
+// Query: dryRun=1 to only report what would change, limit (objects moved per call, default 50)
+// Moves legacy objects to gallery-imagessda/, then rewrites the records that point at them and
+// finally deletes the old objects. Call again until remaining is 0.
+async function handleMaintenanceMigrate(url, r2Bucket, kvStore, corsHeaders) {
+  try {
+    const dryRun = ['1', 'true'].includes(url.searchParams.get('dryRun'));
+    const limit = Math.max(parseInt(url.searchParams.get('limit'), 10) || MIGRATE_BATCH_SIZE, 1);
+    const { objects, records, legacyObjects } = await scanStorage(r2Bucket, kvStore);
+
+    // Never overwrite an existing object; those need a manual decision
+    const conflicts = legacyObjects
+      .filter(object => objects.has(object.canonicalKey))
+      .map(object => ({ key: object.key, canonicalKey: object.canonicalKey, details: 'Canonical key already exists' }));
+    const candidates = legacyObjects.filter(object => !objects.has(object.canonicalKey));
+
+    const moved = [];
+    const failed = [];
+    const movedKeys = new Map(); // legacy key -> canonical key
+    for (const object of candidates.slice(0, limit)) {
+      if (!dryRun) {
+        try {
+          await copyObject(r2Bucket, object.key, object.canonicalKey);
+          console.log('🔧 Copied legacy object:', object.key, '->', object.canonicalKey);
+        } catch (error) {
+          console.error('❌ Failed to move legacy object:', object.key, error);
+          failed.push({ key: object.key, details: error.message });
+          continue;
+        }
+      }
+      moved.push(object);
+      movedKeys.set(object.key, object.canonicalKey);
+    }
+
+    // Point records at the canonical keys of their objects
+    const resolve = r2Key => {
+      const storedKey = findStoredKey(objects, r2Key);
+      if (!storedKey) return r2Key;
+      if (movedKeys.has(storedKey)) return movedKeys.get(storedKey);
+      return isLegacyImageKey(storedKey) ? r2Key : storedKey;
+    };
+    const updatedRecords = [];
+    for (const metadata of records) {
+      const fileName = resolve(metadata.fileName);
+      const variants = {};
+      Object.entries(metadata.variants || {}).forEach(([size, r2Key]) => {
+        variants[size] = resolve(r2Key);
+      });
+      const changed = fileName !== metadata.fileName ||
+        Object.keys(variants).some(size => variants[size] !== metadata.variants[size]);
+      if (!changed) continue;
+
+      updatedRecords.push({ id: metadata.id, from: metadata.fileName, to: fileName });
+      if (!dryRun) {
+        const updated = { ...metadata, fileName, url: `/api/image/${fileName}`, variants };
+        await kvStore.put(`image:${metadata.id}`, JSON.stringify(updated));
+        await kvStore.put(getObjectRefKey(updated), updated.id);
+        await kvStore.delete(getObjectRefKey(metadata));
+      }
+    }
+
+    // Only delete the old objects once nothing points at them any more
+    if (!dryRun && moved.length > 0) {
+      await r2Bucket.delete(moved.map(object => object.key));
+    }
+
+    const remaining = candidates.length - moved.length;
+    console.log(`🔧 Migration${dryRun ? ' (dry run)' : ''}:`, moved.length, 'objects moved,',
+      updatedRecords.length, 'records updated,', remaining, 'remaining');
+
+    return jsonResponse({
+      success: failed.length === 0,
+      dryRun,
+      moved: moved.map(object => ({ from: object.key, to: object.canonicalKey })),
+      updatedRecords,
+      conflicts,
+      failed,
+      remaining
+    }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Migration error:', error);
+    return jsonResponse({ error: 'Migration failed', details: error.message }, 500, corsHeaders);
+  }
+}
+
+// Metadata scrub handler (admin)
+// Query: cursor (from the previous call's nextCursor), limit (records per call, default 25), dryRun=1
+// Strips EXIF/XMP/IPTC from images stored before uploads were stripped, including trashed ones,
+// marks their records with metadataStripped and records their hashes for duplicate detection.
+// Call again until nextCursor is null.
+async function handleMaintenanceScrub(url, r2Bucket, kvStore, corsHeaders) {
+  try {
+    const dryRun = ['1', 'true'].includes(url.searchParams.get('dryRun'));
+    const limit = Math.max(parseInt(url.searchParams.get('limit'), 10) || SCRUB_BATCH_SIZE, 1);
+    const list = await kvStore.list({ prefix: 'image:', limit, cursor: url.searchParams.get('cursor') || undefined });
+
+    const scrubbed = [];
+    const missing = [];
+    let skipped = 0;
+    let bytesRemoved = 0;
+    for (const key of list.keys) {
+      const metadataStr = await kvStore.get(key.name);
+      if (!metadataStr) continue;
+      const metadata = JSON.parse(metadataStr);
+      if (metadata.metadataStripped) {
+        skipped++;
+        continue;
+      }
+
+      let changed = false;
+      let complete = true;
+      let size = metadata.size;
+      const hashes = {};
+      for (const r2Key of getImageObjectKeys(metadata)) {
+        const result = await scrubStoredImage(r2Bucket, r2Key, dryRun);
+        if (!result) {
+          missing.push({ id: metadata.id, key: r2Key });
+          complete = false;
+          continue;
+        }
+        if (r2Key === metadata.fileName) {
+          size = result.size;
+          // Images from before duplicate detection get their hashes here
+          if (!metadata.sha256) {
+            hashes.sha256 = result.sha256;
+            if (result.storedSha256 !== result.sha256) hashes.storedSha256 = result.storedSha256;
+          }
+        }
+        changed = changed || result.changed;
+        bytesRemoved += result.removed;
+      }
+      if (changed) scrubbed.push(metadata.id);
+
+      // Records with missing objects stay unmarked so that they are checked again after a migration
+      if (!dryRun && complete) {
+        // Re-read the record so that edits made while the objects were rewritten are kept
+        const currentStr = await kvStore.get(key.name);
+        if (currentStr) {
+          const updated = { ...JSON.parse(currentStr), size, metadataStripped: true, ...hashes };
+          await kvStore.put(key.name, JSON.stringify(updated));
+          for (const hashKey of getHashKeys(updated)) {
+            await kvStore.put(hashKey, updated.id);
+          }
+        }
+      }
+    }
+
+    const nextCursor = list.list_complete ? null : list.cursor;
+    console.log(`🧹 Metadata scrub${dryRun ? ' (dry run)' : ''}:`, list.keys.length, 'records checked,',
+      scrubbed.length, 'scrubbed,', bytesRemoved, 'bytes removed');
+
+    return jsonResponse({
+      success: true,
+      dryRun,
+      checked: list.keys.length,
+      skipped,
+      scrubbed,
+      bytesRemoved,
+      missing,
+      nextCursor
+    }, 200, corsHeaders);
+  } catch (error) {
+    console.error('Metadata scrub error:', error);
+    return jsonResponse({ error: 'Metadata scrub failed', details: error.message }, 500, corsHeaders);
+  }
+}
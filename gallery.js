@@ -2,9 +2,11 @@
 console.log('🚀 Gallery.js script loaded!');
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_FILES = 100;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp']; // The server checks the actual file contents too
+const IMAGE_VARIANTS = { thumb: 400, medium: 1280 }; // Downscaled copies made before upload (longest edge in px)
+const VARIANT_QUALITY = 0.82; // JPEG quality for the downscaled copies
 const API_BASE = '/api';
 const API_BASE_URL = window.location.origin || 'http://localhost:8788'; // For constructing absolute URLs
-const GALLERY_PASSWORD = 'SSDA2025'; // Change this to your desired password
 
 console.log('📋 API Configuration:', {
     API_BASE,
@@ -15,28 +17,49 @@ console.log('📋 API Configuration:', {
 
 // State
 let isAuthenticated = false;
+let currentUser = null;
+let currentRole = null; // 'viewer', 'uploader' or 'admin' (set by /api/session or /api/login)
 let allImages = [];
 let currentGroup = null;
+let currentGroupName = null;
 let currentImageIndex = 0;
 let selectedFiles = [];
 let previewFiles = [];
+const fileDetails = new Map(); // File -> { caption, alt, tags, credit } entered in the preview grid
+const fileHashes = new Map(); // File -> SHA-256 hex digest
+const fileDuplicates = new Map(); // File -> images already in the gallery with the same contents
+const fileOriginals = new Map(); // Compressed File -> the File that was picked
+let selectedPreviewFile = null;
+const shareToken = new URLSearchParams(window.location.search).get('share'); // Set when opened from a share link
 
 // DOM Elements
 const passwordModal = document.getElementById('password-modal');
+const usernameInput = document.getElementById('username-input');
 const passwordInput = document.getElementById('password-input');
 const passwordSubmitBtn = document.getElementById('password-submit-btn');
 const passwordError = document.getElementById('password-error');
 const galleryMainContent = document.getElementById('gallery-main-content');
+const uploadSection = document.querySelector('.gallery-upload-section');
 const uploadArea = document.getElementById('upload-area');
 const fileInput = document.getElementById('file-input');
 const previewContainer = document.getElementById('preview-container');
 const previewGrid = document.getElementById('preview-grid');
+const previewDuplicates = document.getElementById('preview-duplicates');
+const previewCompression = document.getElementById('preview-compression');
+const compressMaxDimension = document.getElementById('compress-max-dimension');
+const compressQuality = document.getElementById('compress-quality');
+const compressQualityValue = document.getElementById('compress-quality-value');
+const previewDetails = document.getElementById('preview-details');
+const previewDetailsTitle = document.getElementById('preview-details-title');
 const clearPreviewBtn = document.getElementById('clear-preview');
 const uploadBtn = document.getElementById('upload-btn');
 const uploadProgress = document.getElementById('upload-progress');
 const progressFill = document.getElementById('progress-fill');
 const progressText = document.getElementById('progress-text');
+const uploadCancelBtn = document.getElementById('upload-cancel-btn');
 const uploadSuccess = document.getElementById('upload-success');
+const offlineUploads = document.getElementById('offline-uploads');
+const offlineUploadsText = document.getElementById('offline-uploads-text');
 const successMessage = document.getElementById('success-message');
 const uploadError = document.getElementById('upload-error');
 const errorTitle = document.getElementById('error-title');
@@ -44,7 +67,51 @@ const errorDetails = document.getElementById('error-details');
 const galleryGrid = document.getElementById('gallery-grid');
 const loadingSpinner = document.getElementById('loading-spinner');
 const emptyGallery = document.getElementById('empty-gallery');
+const shareNote = document.getElementById('share-note');
 const refreshGalleryBtn = document.getElementById('refresh-gallery-btn');
+const logoutBtn = document.getElementById('logout-btn');
+const galleryDisplaySection = document.querySelector('.gallery-display-section');
+const gallerySearchForm = document.getElementById('gallery-search');
+const gallerySearchInput = document.getElementById('gallery-search-input');
+const searchResults = document.getElementById('search-results');
+const searchSummary = document.getElementById('search-summary');
+const searchGroups = document.getElementById('search-groups');
+const searchImages = document.getElementById('search-images');
+const trashBtn = document.getElementById('trash-btn');
+const trashSection = document.getElementById('trash-section');
+const trashCloseBtn = document.getElementById('trash-close-btn');
+const trashNote = document.getElementById('trash-note');
+const trashList = document.getElementById('trash-list');
+const trashEmpty = document.getElementById('trash-empty');
+const trashMoreBtn = document.getElementById('trash-more-btn');
+const reviewBtn = document.getElementById('review-btn');
+const reviewSection = document.getElementById('review-section');
+const reviewCloseBtn = document.getElementById('review-close-btn');
+const reviewList = document.getElementById('review-list');
+const reviewEmpty = document.getElementById('review-empty');
+const reviewMoreBtn = document.getElementById('review-more-btn');
+const groupViewSection = document.getElementById('group-section');
+const groupViewTitle = document.getElementById('group-view-title');
+const groupSlideshowBtn = document.getElementById('group-slideshow-btn');
+const groupDownloadBtn = document.getElementById('group-download-btn');
+const groupBackBtn = document.getElementById('group-back-btn');
+const groupSelectAll = document.getElementById('group-select-all');
+const groupSelectionCount = document.getElementById('group-selection-count');
+const groupDownloadSelectedBtn = document.getElementById('group-download-selected-btn');
+const groupMoveSelectedBtn = document.getElementById('group-move-selected-btn');
+const groupDeleteSelectedBtn = document.getElementById('group-delete-selected-btn');
+const groupViewGrid = document.getElementById('group-view-grid');
+const groupViewEmpty = document.getElementById('group-view-empty');
+const groupManageModal = document.getElementById('group-manage-modal');
+const groupManageTitle = document.getElementById('group-manage-title');
+const groupManageClose = document.getElementById('group-manage-close');
+const groupManageGrid = document.getElementById('group-manage-grid');
+const groupRenameBtn = document.getElementById('group-rename-btn');
+const groupMergeBtn = document.getElementById('group-merge-btn');
+const groupMoveBtn = document.getElementById('group-move-btn');
+const groupSaveOrderBtn = document.getElementById('group-save-order-btn');
+const groupShareBtn = document.getElementById('group-share-btn');
+const groupShareList = document.getElementById('group-share-list');
 const newGroupTab = document.querySelector('.group-tab:has(input[value="new"])');
 const existingGroupTab = document.querySelector('.group-tab:has(input[value="existing"])');
 const slideshowModal = document.getElementById('slideshow-modal');
@@ -54,6 +121,16 @@ const slideshowPrev = document.getElementById('slideshow-prev');
 const slideshowNext = document.getElementById('slideshow-next');
 const slideshowCounter = document.getElementById('slideshow-counter');
 const deleteImageBtn = document.getElementById('delete-image-btn');
+const editImageBtn = document.getElementById('edit-image-btn');
+const downloadGroupBtn = document.getElementById('download-group-btn');
+const slideshowCaptionText = document.getElementById('slideshow-caption-text');
+const slideshowCredit = document.getElementById('slideshow-credit');
+const slideshowTags = document.getElementById('slideshow-tags');
+const slideshowDetailsForm = document.getElementById('slideshow-details-form');
+const slideshowDetailsCancel = document.getElementById('slideshow-details-cancel');
+const slideshowPlayBtn = document.getElementById('slideshow-play-btn');
+const slideshowIntervalSelect = document.getElementById('slideshow-interval');
+const slideshowFullscreenBtn = document.getElementById('slideshow-fullscreen-btn');
 const newGroupRadio = document.getElementById('new-group-radio');
 const existingGroupRadio = document.getElementById('existing-group-radio');
 const groupTitleInput = document.getElementById('group-title-input');
@@ -68,17 +145,71 @@ document.addEventListener('DOMContentLoaded', () => {
         fileInput: !!fileInput,
         galleryGrid: !!galleryGrid
     });
-    const savedAuth = sessionStorage.getItem('gallery_authenticated');
-    if (savedAuth === 'true') {
-        isAuthenticated = true;
-        showGallery();
+    if (shareToken) {
+        showSharedGroup();
     } else {
-        showPasswordModal();
+        checkSession();
     }
 });
 
 // Password Protection
+// The password is checked by /api/login, which sets a signed session cookie
+async function checkSession() {
+    try {
+        const response = await fetch(`${API_BASE}/session`, { credentials: 'same-origin' });
+        const data = response.ok ? await response.json() : { authenticated: false };
+        if (data.authenticated) {
+            setSession(data.user, data.role);
+            showGallery();
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+    }
+    showPasswordModal();
+}
+
+// Role helpers - the server enforces the same rules, these only decide what to show
+function canUpload() {
+    return currentRole === 'uploader' || currentRole === 'admin';
+}
+
+function canDelete() {
+    return currentRole === 'admin';
+}
+
+// Uploaders may edit the details of the images they uploaded, admins of every image
+function canEditImage(image) {
+    return currentRole === 'admin' || (canUpload() && image.uploadedBy === currentUser);
+}
+
+function setSession(user, role) {
+    isAuthenticated = true;
+    currentUser = user;
+    currentRole = role;
+    if (uploadSection) {
+        uploadSection.style.display = canUpload() ? '' : 'none';
+    }
+    deleteImageBtn.style.display = canDelete() ? '' : 'none';
+    if (editImageBtn) {
+        editImageBtn.style.display = canUpload() ? '' : 'none';
+    }
+    if (trashBtn) {
+        trashBtn.style.display = canDelete() ? '' : 'none';
+    }
+    if (reviewBtn) {
+        reviewBtn.style.display = canDelete() ? '' : 'none';
+    }
+    if (logoutBtn) {
+        logoutBtn.title = `Logged in as ${user} (${role})`;
+    }
+}
+
 function showPasswordModal() {
+    isAuthenticated = false;
+    currentUser = null;
+    currentRole = null;
+    galleryMainContent.style.display = 'none';
     passwordModal.style.display = 'flex';
     passwordInput.focus();
 }
@@ -91,19 +222,57 @@ function showGallery() {
     hidePasswordModal();
     galleryMainContent.style.display = 'block';
     loadGallery();
+    applyLocationHash();
+    flushOfflineUploads();
 }
 
-passwordSubmitBtn.addEventListener('click', () => {
+function showPasswordError(message) {
+    passwordError.textContent = message;
+    passwordError.style.display = 'block';
+    passwordInput.value = '';
+    passwordInput.focus();
+}
+
+passwordSubmitBtn.addEventListener('click', async () => {
+    const username = usernameInput ? usernameInput.value.trim() : '';
     const password = passwordInput.value.trim();
-    if (password === GALLERY_PASSWORD) {
-        isAuthenticated = true;
-        sessionStorage.setItem('gallery_authenticated', 'true');
-        showGallery();
-    } else {
-        passwordError.textContent = 'Incorrect password. Please try again.';
-        passwordError.style.display = 'block';
-        passwordInput.value = '';
-        passwordInput.focus();
+    if (!password) {
+        showPasswordError('Please enter the password.');
+        return;
+    }
+    
+    passwordSubmitBtn.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE}/login`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            setSession(data.user, data.role);
+            passwordInput.value = '';
+            passwordError.style.display = 'none';
+            showGallery();
+        } else if (response.status === 401) {
+            showPasswordError('Incorrect password. Please try again.');
+        } else {
+            let errorMessage = `Login failed (HTTP ${response.status})`;
+            try {
+                const errorData = await response.json();
+                errorMessage = errorData.details || errorData.error || errorMessage;
+            } catch (e) {
+                console.error('Failed to parse error JSON:', e);
+            }
+            showPasswordError(errorMessage);
+        }
+    } catch (error) {
+        console.error('Login error:', error);
+        showPasswordError('Network error. Please check your connection and try again.');
+    } finally {
+        passwordSubmitBtn.disabled = false;
     }
 });
 
@@ -113,6 +282,25 @@ passwordInput.addEventListener('keypress', (e) => {
     }
 });
 
+usernameInput?.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        passwordInput.focus();
+    }
+});
+
+logoutBtn?.addEventListener('click', async () => {
+    try {
+        await fetch(`${API_BASE}/logout`, { method: 'POST', credentials: 'same-origin' });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    hideSlideshow();
+    allImages = [];
+    galleryGrid.innerHTML = '';
+    navigator.serviceWorker?.controller?.postMessage({ type: 'clear-image-cache' });
+    showPasswordModal();
+});
+
 // File Upload
 uploadArea.addEventListener('click', () => {
     fileInput.click();
@@ -139,35 +327,57 @@ fileInput.addEventListener('change', (e) => {
     handleFiles(files);
 });
 
-function handleFiles(files) {
-    const validFiles = [];
-    
-    for (const file of files) {
-        if (!file.type.startsWith('image/')) {
-            alert(`${file.name} is not an image file.`);
-            continue;
-        }
-        if (file.size > MAX_FILE_SIZE) {
-            alert(`${file.name} is too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB.`);
-            continue;
-        }
-        validFiles.push(file);
-    }
+// Files over MAX_FILE_SIZE are compressed (see Compression) rather than refused
+async function handleFiles(files) {
+    const imageFiles = files.filter(file => {
+        if (ALLOWED_TYPES.includes(file.type)) return true;
+        alert(`${file.name} is not a supported image. Please use JPEG, PNG, GIF or WebP.`);
+        return false;
+    });
     
-    if (validFiles.length === 0) return;
+    if (imageFiles.length === 0) return;
     
-    if (selectedFiles.length + validFiles.length > MAX_FILES) {
+    if (selectedFiles.length + imageFiles.length > MAX_FILES) {
         alert(`Maximum ${MAX_FILES} files allowed.`);
         return;
     }
     
+    const validFiles = [];
+    const originals = new Map();
+    preparingFiles++;
+    previewContainer.style.display = 'block';
+    try {
+        for (let i = 0; i < imageFiles.length; i++) {
+            showCompressionStatus(`Resizing photos... ${i + 1} of ${imageFiles.length}`);
+            const prepared = await prepareFile(imageFiles[i]);
+            if (prepared) validFiles.push(prepared);
+            if (prepared && prepared !== imageFiles[i]) originals.set(prepared, imageFiles[i]);
+        }
+    } finally {
+        preparingFiles--;
+    }
+    
     selectedFiles.push(...validFiles);
+    originals.forEach((original, file) => fileOriginals.set(file, original));
     updatePreview();
+    if (validFiles.length > 0) checkDuplicates(validFiles);
 }
 
 function updatePreview() {
     const previewCountEl = document.getElementById('preview-count');
     
+    // Forget details, hashes, duplicates, originals and upload state of files that are no longer selected
+    [fileDetails, fileHashes, fileDuplicates, fileOriginals, uploadEntries].forEach(fileMap => {
+        [...fileMap.keys()].forEach(file => {
+            if (!selectedFiles.includes(file)) fileMap.delete(file);
+        });
+    });
+    renderDuplicateSummary();
+    renderCompressionSummary();
+    if (!selectedFiles.includes(selectedPreviewFile)) {
+        selectPreviewFile(null);
+    }
+    
     if (selectedFiles.length === 0) {
         previewContainer.style.display = 'none';
         previewFiles = [];
@@ -191,17 +401,28 @@ function updatePreview() {
         reader.onload = (e) => {
             const previewItem = document.createElement('div');
             previewItem.className = 'preview-item';
+            previewItem.dataset.index = index;
+            previewItem.classList.toggle('is-selected', file === selectedPreviewFile);
+            previewItem.classList.toggle('has-details', hasImageDetails(fileDetails.get(file)));
             previewItem.innerHTML = `
                 <img src="${e.target.result}" alt="Preview">
                 <button class="preview-remove" data-index="${index}">×</button>
             `;
+            markDuplicatePreview(previewItem, file);
+            markCompressedPreview(previewItem, file);
+            renderUploadEntry(file, previewItem);
             previewGrid.appendChild(previewItem);
             
+            // Removing a file that is uploading cancels it
             const removeBtn = previewItem.querySelector('.preview-remove');
-            removeBtn.addEventListener('click', () => {
+            removeBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                cancelFileUpload(file);
                 selectedFiles.splice(index, 1);
                 updatePreview();
+                pumpUploadQueue();
             });
+            previewItem.addEventListener('click', () => selectPreviewFile(file));
         };
         reader.readAsDataURL(file);
         previewFiles.push({ file, index });
@@ -210,7 +431,126 @@ function updatePreview() {
     loadExistingGroups();
 }
 
+// Duplicate Detection
+// Selected files are hashed in the browser and looked up before upload, so photos that are
+// already in the gallery are flagged in the preview. The server checks again on upload.
+async function getFileHash(file) {
+    if (!fileHashes.has(file)) {
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        fileHashes.set(file, hash);
+    }
+    return fileHashes.get(file);
+}
+
+async function checkDuplicates(files) {
+    try {
+        const hashes = [];
+        for (const file of files) {
+            hashes.push(await getFileHash(file));
+        }
+        const data = await apiRequest('/images/lookup', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ hashes })
+        });
+        
+        files.forEach((file, i) => {
+            const duplicates = data.duplicates[hashes[i]];
+            if (duplicates && selectedFiles.includes(file)) fileDuplicates.set(file, duplicates);
+        });
+        previewGrid.querySelectorAll('.preview-item').forEach(item => {
+            markDuplicatePreview(item, selectedFiles[item.dataset.index]);
+        });
+        renderDuplicateSummary();
+    } catch (error) {
+        // Only a warning; the server still detects duplicates when the files are uploaded
+        console.warn('⚠️ Duplicate check failed:', error.message);
+    }
+}
+
+function markDuplicatePreview(previewItem, file) {
+    const duplicates = fileDuplicates.get(file);
+    previewItem.classList.toggle('is-duplicate', Boolean(duplicates));
+    previewItem.querySelector('.preview-duplicate-badge')?.remove();
+    if (!duplicates) return;
+    
+    const badge = document.createElement('span');
+    badge.className = 'preview-duplicate-badge';
+    badge.textContent = 'Duplicate';
+    previewItem.title = `Already in ${[...new Set(duplicates.map(image => image.group))].join(', ')}`;
+    previewItem.appendChild(badge);
+}
+
+function renderDuplicateSummary() {
+    if (!previewDuplicates) return;
+    const duplicateFiles = selectedFiles.filter(file => fileDuplicates.has(file));
+    previewDuplicates.hidden = duplicateFiles.length === 0;
+    previewDuplicates.textContent = duplicateFiles.length === 0 ? '' :
+        `${duplicateFiles.length === 1 ? '1 photo is' : `${duplicateFiles.length} photos are`} already in the gallery: ` +
+        duplicateFiles.map(file => `${file.name} (${fileDuplicates.get(file)[0].group})`).join(', ') +
+        '. They will not be uploaded again.';
+}
+
+// Add photos that are already in the gallery to another group, without uploading them again
+async function linkDuplicates(duplicates, group) {
+    const data = await apiRequest('/images/link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: duplicates.map(result => result.duplicateOf.id), group })
+    });
+    return data.images;
+}
+
+// Image Details
+// Caption, alt text, tags and photographer credit, entered per file before upload
+// and edited later from the slideshow
+function readDetailsForm(form) {
+    const details = {};
+    form.querySelectorAll('[data-field]').forEach(field => {
+        details[field.dataset.field] = field.value.trim();
+    });
+    return details;
+}
+
+function fillDetailsForm(form, details = {}) {
+    form.querySelectorAll('[data-field]').forEach(field => {
+        const value = details[field.dataset.field];
+        field.value = Array.isArray(value) ? value.join(', ') : (value || '');
+    });
+}
+
+function hasImageDetails(details) {
+    return Boolean(details) && Object.values(details).some(value => value && value.length > 0);
+}
+
+function selectPreviewFile(file) {
+    selectedPreviewFile = file;
+    previewGrid.querySelectorAll('.preview-item').forEach(item => {
+        item.classList.toggle('is-selected', selectedFiles[item.dataset.index] === file);
+    });
+    if (!previewDetails) return;
+    previewDetails.hidden = !file;
+    if (file) {
+        const original = fileOriginals.get(file);
+        previewDetailsTitle.textContent = original
+            ? `${file.name} (${formatFileSize(original.size)} → ${formatFileSize(file.size)})`
+            : file.name;
+        fillDetailsForm(previewDetails, fileDetails.get(file));
+    }
+}
+
+previewDetails?.addEventListener('input', () => {
+    if (!selectedPreviewFile) return;
+    const details = readDetailsForm(previewDetails);
+    fileDetails.set(selectedPreviewFile, details);
+    const index = selectedFiles.indexOf(selectedPreviewFile);
+    const previewItem = previewGrid.querySelector(`.preview-item[data-index="${index}"]`);
+    previewItem?.classList.toggle('has-details', hasImageDetails(details));
+});
+
 clearPreviewBtn.addEventListener('click', () => {
+    cancelUploads();
     selectedFiles = [];
     fileInput.value = '';
     updatePreview();
@@ -238,7 +578,7 @@ existingGroupRadio.addEventListener('change', () => {
 
 async function loadExistingGroups() {
     try {
-        const response = await fetch(`${API_BASE}/groups`);
+        const response = await fetch(`${API_BASE}/groups`, { credentials: 'same-origin' });
         if (response.ok) {
             const groups = await response.json();
             existingGroupSelect.innerHTML = '<option value=""></option>';
@@ -254,223 +594,933 @@ async function loadExistingGroups() {
     }
 }
 
-// Upload Images
-if (!uploadBtn) {
-    console.error('❌ Upload button not found! Check if element with id="upload-btn" exists.');
-} else {
-    console.log('✅ Upload button found, attaching event listener');
+// Image Variants
+// Build the URL for an image, optionally for a downscaled variant ('thumb' or 'medium')
+// The API serves the original when a variant does not exist
+function getImageUrl(image, size) {
+    let url = image.url;
+    if (!url.startsWith('http')) {
+        url = `${API_BASE_URL}${url}`;
+    }
+    const params = new URLSearchParams();
+    if (size) params.set('size', size);
+    // The record, not the file name, says which variants an image has: images linked into
+    // another group share their original's file
+    if (image.id) params.set('id', image.id);
+    // Share link visitors have no session; the token (and the image's record) grants access instead
+    if (shareToken) params.set('share', shareToken);
+    const query = params.toString();
+    return query ? `${url}?${query}` : url;
 }
 
-uploadBtn?.addEventListener('click', async () => {
-    console.log('🔵 Upload button clicked');
+// Append a cache-busting parameter to an image URL that may already have a query string
+function withCacheBust(url) {
+    return `${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}`;
+}
+
+// Create the downscaled variants of a file in the browser
+// Returns { width, height, variants: { thumb?: Blob, medium?: Blob } }
+async function createImageVariants(file) {
+    const result = { width: 0, height: 0, variants: {} };
+    if (typeof createImageBitmap !== 'function') {
+        return result;
+    }
     
-    if (selectedFiles.length === 0) {
-        alert('Please select at least one image to upload.');
-        return;
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (error) {
+        console.warn('⚠️ Could not decode image for variants:', file.name, error);
+        return result;
     }
     
-    let groupTitle = '';
-    if (newGroupRadio.checked) {
-        groupTitle = groupTitleInput.value.trim();
-        if (!groupTitle) {
-            alert('Please enter a group title.');
-            return;
-        }
-    } else {
-        groupTitle = existingGroupSelect.value;
-        if (!groupTitle) {
-            alert('Please select an existing group.');
-            return;
+    result.width = bitmap.width;
+    result.height = bitmap.height;
+    
+    for (const [size, maxDimension] of Object.entries(IMAGE_VARIANTS)) {
+        const scale = maxDimension / Math.max(bitmap.width, bitmap.height);
+        if (scale >= 1) continue; // Already small enough - the original is served instead
+        try {
+            result.variants[size] = await renderScaledImage(bitmap, scale);
+        } catch (error) {
+            console.warn(`⚠️ Could not create ${size} variant:`, file.name, error);
         }
     }
     
-    console.log('📤 Starting upload:', {
-        files: selectedFiles.length,
-        group: groupTitle,
-        apiBase: API_BASE,
-        url: `${API_BASE}/upload`
-    });
+    if (bitmap.close) bitmap.close();
+    return result;
+}
+
+function renderScaledImage(bitmap, scale, type = 'image/jpeg', quality = VARIANT_QUALITY) {
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    // OffscreenCanvas does not touch the page; older browsers get a detached <canvas>
+    const canvas = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
     
-    uploadBtn.disabled = true;
-    uploadProgress.style.display = 'block';
-    progressFill.style.width = '0%';
-    progressText.textContent = 'Uploading...';
-    
-    const formData = new FormData();
-    console.log('📦 Preparing FormData:', {
-        selectedFilesCount: selectedFiles.length,
-        selectedFilesTypes: selectedFiles.map(f => ({
-            name: f.name,
-            type: f.type,
-            size: f.size,
-            isFile: f instanceof File
-        }))
-    });
+    const context = canvas.getContext('2d');
+    if (type === 'image/jpeg') {
+        context.fillStyle = '#ffffff'; // JPEG has no transparency
+        context.fillRect(0, 0, width, height);
+    }
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
     
-    // selectedFiles is an array of File objects directly, not objects with {file} property
-    selectedFiles.forEach((file) => {
-        if (file instanceof File) {
-            formData.append('images', file);
-            console.log('✅ Added file to FormData:', file.name);
-        } else {
-            console.error('❌ Invalid file object:', file);
-        }
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Canvas export failed'));
+            }
+        }, type, quality);
     });
-    formData.append('group', groupTitle);
-    
-    console.log('📋 FormData prepared, sending to:', `${API_BASE}/upload`);
-    
-    // Hide any previous errors
-    uploadError.style.display = 'none';
-    uploadSuccess.style.display = 'none';
+}
+
+// Compression
+// Large photos are downscaled and re-encoded in the browser before they are queued, so phone
+// photos fit under MAX_FILE_SIZE and upload faster. The settings are kept in localStorage.
+const COMPRESSION_SETTINGS_KEY = 'galleryCompression';
+const COMPRESSION_DEFAULTS = { maxDimension: 2560, quality: 0.85 }; // maxDimension 0 keeps the original size
+const COMPRESSION_MIN_SIZE = 1024 * 1024; // Smaller files are only re-encoded when they exceed maxDimension
+const COMPRESSIBLE_TYPES = ['image/jpeg', 'image/png', 'image/webp']; // GIFs would lose their animation
+const FILE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+let preparingFiles = 0; // handleFiles calls still compressing
+
+function getCompressionSettings() {
+    try {
+        return { ...COMPRESSION_DEFAULTS, ...JSON.parse(localStorage.getItem(COMPRESSION_SETTINGS_KEY)) };
+    } catch (error) {
+        return { ...COMPRESSION_DEFAULTS };
+    }
+}
+
+// Returns a smaller copy of file, or file itself when it is small enough already or re-encoding
+// does not help. A copy that is still over MAX_FILE_SIZE is the caller's to refuse.
+async function compressImage(file, { maxDimension, quality }) {
+    if (!COMPRESSIBLE_TYPES.includes(file.type) || typeof createImageBitmap !== 'function') {
+        return file;
+    }
     
+    // Decoding applies the EXIF orientation, so the re-encoded copy is already upright
+    const bitmap = await createImageBitmap(file);
     try {
-        console.log('🌐 Making fetch request to:', `${API_BASE}/upload`, 'Method: POST');
-        const response = await fetch(`${API_BASE}/upload`, {
-            method: 'POST',
-            body: formData
-        });
-        
-        console.log('📥 Response received:', {
-            status: response.status,
-            statusText: response.statusText,
-            ok: response.ok,
-            headers: Object.fromEntries(response.headers.entries())
-        });
+        const longestEdge = Math.max(bitmap.width, bitmap.height);
+        const tooLarge = maxDimension > 0 && longestEdge > maxDimension;
+        if (!tooLarge && file.size <= COMPRESSION_MIN_SIZE) return file;
         
-        if (!response.ok) {
-            console.error('❌ Upload failed - Response not OK:', response.status, response.statusText);
-            
-            // Try to get detailed error from response
-            let errorMessage = 'Upload failed';
-            let errorDetailsText = '';
-            
-            // Handle 405 Method Not Allowed specifically
-            if (response.status === 405) {
-                console.error('⚠️ 405 Method Not Allowed error detected');
-                try {
-                    const errorData = await response.json();
-                    console.error('Error response data:', errorData);
-                    errorMessage = 'Method Not Allowed';
-                    errorDetailsText = errorData.details || 'Upload endpoint requires POST method';
-                } catch (e) {
-                    console.error('Failed to parse error JSON:', e);
-                    errorMessage = 'Method Not Allowed';
-                    errorDetailsText = 'Upload endpoint requires POST method. Please ensure you are using the correct HTTP method.';
-                }
+        let type = file.type;
+        let scale = tooLarge ? maxDimension / longestEdge : 1;
+        let blob;
+        for (let attempt = 0; attempt < 5; attempt++) {
+            blob = await renderScaledImage(bitmap, scale, type, quality);
+            if (blob.size <= MAX_FILE_SIZE) break;
+            // Still too big to upload: PNGs become JPEGs first, then the image gets smaller
+            if (type === 'image/png') {
+                type = 'image/jpeg';
             } else {
-                try {
-                    const errorData = await response.json();
-                    console.error('Error response data:', errorData);
-                    errorMessage = errorData.error || errorMessage;
-                    errorDetailsText = errorData.details || '';
-                    
-                    // Check for binding errors
-                    if (errorMessage.includes('binding') || errorMessage.includes('R2') || errorMessage.includes('KV')) {
-                        errorDetailsText += '\n\nRequired bindings:\n- R2: gallery-imagessda\n- KV: GALLERY_SSDA';
-                    }
-                } catch (e) {
-                    console.error('Failed to parse error JSON:', e);
-                    errorDetailsText = `HTTP ${response.status}: ${response.statusText}`;
-                }
+                scale *= 0.75;
             }
-            
-            // Show error message
-            errorTitle.textContent = errorMessage;
-            errorDetails.textContent = errorDetailsText || `Server returned error ${response.status}`;
-            uploadProgress.style.display = 'none';
-            uploadError.style.display = 'flex';
-            uploadBtn.disabled = false;
-            
-            console.error('❌ Upload failed - Final error:', errorMessage, errorDetailsText);
-            return;
         }
         
-        const result = await response.json();
-        console.log('✅ Upload successful!', result);
-        
-        progressFill.style.width = '100%';
-        progressText.textContent = 'Upload complete!';
-        
-        setTimeout(() => {
-            uploadProgress.style.display = 'none';
-            uploadError.style.display = 'none';
-            uploadSuccess.style.display = 'block';
-            uploadSuccess.classList.add('success');
-            selectedFiles = [];
-            fileInput.value = '';
-            updatePreview();
-            
-            setTimeout(() => {
-                uploadSuccess.style.display = 'none';
-                uploadBtn.disabled = false;
-                loadGallery();
-            }, 2000);
-        }, 500);
-        
+        // A well-compressed original can beat the copy even at a larger size
+        if (blob.size >= file.size && file.size <= MAX_FILE_SIZE) return file;
+        // The browser may not encode every format (e.g. WebP) and falls back to PNG
+        const extension = FILE_EXTENSIONS[blob.type] || 'jpg';
+        const name = file.name.replace(/\.[^.]*$/, '') + `.${extension}`;
+        return new File([blob], name, { type: blob.type, lastModified: file.lastModified });
+    } finally {
+        if (bitmap.close) bitmap.close();
+    }
+}
+
+// Compress a picked file; returns null (after telling the user) when it cannot be made small enough
+// The caller records the original in fileOriginals once the copy is selected
+async function prepareFile(file) {
+    let prepared = file;
+    try {
+        prepared = await compressImage(file, getCompressionSettings());
     } catch (error) {
-        console.error('💥 Upload error (catch block):', error);
-        console.error('Error details:', {
-            name: error.name,
-            message: error.message,
-            stack: error.stack
-        });
-        
-        // Show detailed error message
-        errorTitle.textContent = 'Network Error';
-        errorDetails.textContent = error.message || 'Failed to connect to server. Please check your internet connection and try again.';
-        uploadProgress.style.display = 'none';
-        uploadError.style.display = 'flex';
-        uploadBtn.disabled = false;
+        console.warn('⚠️ Could not compress image:', file.name, error);
     }
-});
+    
+    if (prepared.size > MAX_FILE_SIZE) {
+        alert(`${file.name} is too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB.`);
+        return null;
+    }
+    if (prepared !== file) {
+        console.log('🗜️ Compressed:', file.name, formatFileSize(file.size), '→', formatFileSize(prepared.size));
+    }
+    return prepared;
+}
 
-// Load Gallery
-async function loadGallery() {
-    loadingSpinner.style.display = 'flex';
-    emptyGallery.style.display = 'none';
-    galleryGrid.innerHTML = '';
-    galleryGrid.appendChild(loadingSpinner);
+function showCompressionStatus(text) {
+    if (!previewCompression) return;
+    previewCompression.hidden = !text;
+    previewCompression.textContent = text || '';
+}
+
+// Total original and compressed sizes of the selected files that were compressed
+function renderCompressionSummary() {
+    if (preparingFiles > 0) return;
+    const compressed = selectedFiles.filter(file => fileOriginals.has(file));
+    if (compressed.length === 0) {
+        showCompressionStatus('');
+        return;
+    }
+    const originalSize = compressed.reduce((sum, file) => sum + fileOriginals.get(file).size, 0);
+    const compressedSize = compressed.reduce((sum, file) => sum + file.size, 0);
+    showCompressionStatus(
+        `${compressed.length === 1 ? '1 photo was' : `${compressed.length} photos were`} resized: ` +
+        `${formatFileSize(originalSize)} → ${formatFileSize(compressedSize)}`
+    );
+}
+
+function markCompressedPreview(previewItem, file) {
+    const original = fileOriginals.get(file);
+    if (!original) return;
+    const badge = document.createElement('span');
+    badge.className = 'preview-size-badge';
+    badge.textContent = formatFileSize(file.size);
+    badge.title = `${original.name}: ${formatFileSize(original.size)} → ${formatFileSize(file.size)}`;
+    previewItem.appendChild(badge);
+}
+
+// Compress the selected files again from their originals after the settings change
+async function recompressSelectedFiles() {
+    if (uploadBatch || preparingFiles > 0 || selectedFiles.length === 0) return;
     
+    preparingFiles++;
+    const changed = [];
+    const files = [...selectedFiles];
     try {
-        const response = await fetch(`${API_BASE}/gallery`);
-        
-        if (!response.ok) {
-            let errorMessage = 'Failed to load gallery';
-            let errorDetails = '';
+        for (let i = 0; i < files.length; i++) {
+            showCompressionStatus(`Resizing photos... ${i + 1} of ${files.length}`);
+            const file = files[i];
+            const original = fileOriginals.get(file) || file;
+            const prepared = await prepareFile(original);
+            const index = selectedFiles.indexOf(file);
+            if (!prepared || prepared === file || index === -1) continue;
             
-            // Handle 405 Method Not Allowed specifically
-            if (response.status === 405) {
-                try {
-                    const errorData = await response.json();
-                    errorMessage = 'Method Not Allowed';
-                    errorDetails = errorData.details || 'Invalid HTTP method used';
-                } catch (e) {
-                    errorMessage = 'Method Not Allowed';
-                    errorDetails = 'Gallery endpoint requires GET method. Please ensure you are using the correct HTTP method.';
-                }
-            } else {
-                try {
-                    const errorData = await response.json();
-                    errorMessage = errorData.error || errorMessage;
-                    errorDetails = errorData.details || '';
-                    
-                    // Check for binding errors
-                    if (errorMessage.includes('binding') || errorMessage.includes('R2') || errorMessage.includes('KV')) {
-                        errorDetails += '\n\nRequired bindings:\n- R2: gallery-imagessda\n- KV: GALLERY_SSDA';
-                    }
-                } catch (e) {
-                    errorDetails = `HTTP ${response.status}: ${response.statusText}`;
-                }
-            }
-            
-            loadingSpinner.style.display = 'none';
-            galleryGrid.innerHTML = `
-                <div class="gallery-error" style="text-align: center; padding: 40px; color: var(--error-color, #e74c3c);">
-                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="margin-bottom: 20px;">
-                        <circle cx="12" cy="12" r="10"/>
-                        <line x1="12" y1="8" x2="12" y2="12"/>
-                        <line x1="12" y1="16" x2="12.01" y2="16"/>
+            // The new copy takes over the entered details
+            selectedFiles[index] = prepared;
+            if (prepared !== original) fileOriginals.set(prepared, original);
+            if (fileDetails.has(file)) fileDetails.set(prepared, fileDetails.get(file));
+            if (selectedPreviewFile === file) selectedPreviewFile = prepared;
+            changed.push(prepared);
+        }
+    } finally {
+        preparingFiles--;
+    }
+    
+    updatePreview();
+    if (changed.length > 0) checkDuplicates(changed);
+}
+
+function initCompressionSettings() {
+    if (!compressMaxDimension || !compressQuality) return;
+    const settings = getCompressionSettings();
+    compressMaxDimension.value = String(settings.maxDimension);
+    compressQuality.value = String(Math.round(settings.quality * 100));
+    compressQualityValue.textContent = `${compressQuality.value}%`;
+    
+    const saveSettings = () => {
+        localStorage.setItem(COMPRESSION_SETTINGS_KEY, JSON.stringify({
+            maxDimension: Number(compressMaxDimension.value),
+            quality: Number(compressQuality.value) / 100
+        }));
+        recompressSelectedFiles();
+    };
+    compressMaxDimension.addEventListener('change', saveSettings);
+    compressQuality.addEventListener('input', () => {
+        compressQualityValue.textContent = `${compressQuality.value}%`;
+    });
+    compressQuality.addEventListener('change', saveSettings);
+}
+
+initCompressionSettings();
+
+// API Requests
+// Error from an API call, with the HTTP status (0 for network errors)
+class ApiError extends Error {
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+// JSON request to the gallery API with the session cookie; throws an ApiError for failed requests
+async function apiRequest(path, options = {}) {
+    let response;
+    try {
+        response = await fetch(`${API_BASE}${path}`, { credentials: 'same-origin', ...options });
+    } catch (error) {
+        throw new ApiError(error.message || 'Network error', 0);
+    }
+    
+    let data = null;
+    try {
+        data = await response.json();
+    } catch (e) {
+        // Some errors (e.g. from a proxy) are not JSON
+    }
+    
+    if (!response.ok) {
+        const message = (data && (data.details || data.error)) || `HTTP ${response.status}: ${response.statusText}`;
+        throw new ApiError(message, response.status, data);
+    }
+    return data;
+}
+
+// Upload Images
+if (!uploadBtn) {
+    console.error('❌ Upload button not found! Check if element with id="upload-btn" exists.');
+} else {
+    console.log('✅ Upload button found, attaching event listener');
+}
+
+// Chunked Uploads
+// Each file is uploaded in parts through /api/uploads (R2 multipart upload), so a dropped
+// connection only repeats the part that failed instead of the whole batch
+const UPLOAD_MAX_RETRIES = 6;
+const UPLOAD_RETRY_DELAY = 1000; // ms, doubled after every failed attempt
+
+// Network errors, timeouts and server errors are worth retrying; other 4xx errors are not
+function isRetryableError(error) {
+    return error.status === 0 || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+function waitForOnline() {
+    if (navigator.onLine) return Promise.resolve();
+    console.log('📴 Offline - waiting for the connection to come back');
+    progressText.textContent = 'Connection lost - waiting to resume...';
+    return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+}
+
+// Run an upload step, retrying with exponential backoff after network drops
+async function withRetry(step, onRetry, signal) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await step();
+        } catch (error) {
+            if (signal?.aborted || !isRetryableError(error) || attempt >= UPLOAD_MAX_RETRIES) throw error;
+            console.warn(`⚠️ Upload step failed (attempt ${attempt + 1}), retrying:`, error.message);
+            await waitForOnline();
+            await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAY * 2 ** attempt));
+            if (onRetry) await onRetry();
+        }
+    }
+}
+
+// PUT one part with XMLHttpRequest, which (unlike fetch) reports upload progress
+function sendUploadPart(uploadId, partNumber, chunk, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('PUT', `${API_BASE}/uploads/${uploadId}/parts/${partNumber}`);
+        xhr.responseType = 'json';
+        xhr.upload.addEventListener('progress', (e) => onProgress(e.loaded));
+        xhr.addEventListener('load', () => {
+            const data = xhr.response;
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(data);
+            } else {
+                const message = (data && (data.details || data.error)) || `HTTP ${xhr.status}: ${xhr.statusText}`;
+                reject(new ApiError(message, xhr.status, data));
+            }
+        });
+        xhr.addEventListener('error', () => reject(new ApiError('Network error', 0)));
+        xhr.addEventListener('abort', () => reject(new ApiError('Upload cancelled', 0)));
+        
+        if (signal) {
+            if (signal.aborted) {
+                reject(new ApiError('Upload cancelled', 0));
+                return;
+            }
+            signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        }
+        xhr.send(chunk);
+    });
+}
+
+// Upload one file in parts, resuming from the last finished part after a failure
+// onProgress receives the number of bytes sent so far; aborting signal stops the upload
+// Returns the per-file result: { name, status: 'accepted' | 'rejected' | 'duplicate', reason?, image?, duplicateOf? }
+async function uploadFileInChunks(file, group, { onProgress = () => {}, signal } = {}) {
+    const { width, height, variants } = await createImageVariants(file);
+    const sha256 = await getFileHash(file);
+    if (signal?.aborted) throw new ApiError('Upload cancelled', 0);
+    
+    let upload;
+    try {
+        upload = await withRetry(() => apiRequest('/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fileName: file.name, size: file.size, type: file.type, group, width, height, sha256, ...fileDetails.get(file) }),
+            signal
+        }), null, signal);
+    } catch (error) {
+        if (error.status === 409 && error.data && error.data.result) {
+            return error.data.result;
+        }
+        throw error;
+    }
+    
+    const finishedParts = new Set();
+    const getPartSize = (partNumber) => Math.min(upload.partSize, file.size - (partNumber - 1) * upload.partSize);
+    const getFinishedBytes = () => [...finishedParts].reduce((sum, partNumber) => sum + getPartSize(partNumber), 0);
+    // Ask the server which parts arrived, in case a part finished but its response was lost
+    const refreshFinishedParts = async () => {
+        try {
+            const status = await apiRequest(`/uploads/${upload.uploadId}`, { signal });
+            status.parts.forEach(part => finishedParts.add(part.partNumber));
+        } catch (error) {
+            console.warn('⚠️ Could not refresh upload status:', error.message);
+        }
+    };
+    
+    try {
+        for (let partNumber = 1; partNumber <= upload.partCount; partNumber++) {
+            if (!finishedParts.has(partNumber)) {
+                const start = (partNumber - 1) * upload.partSize;
+                const chunk = file.slice(start, Math.min(start + upload.partSize, file.size));
+                const finishedBytes = getFinishedBytes();
+                await withRetry(async () => {
+                    if (finishedParts.has(partNumber)) return;
+                    await sendUploadPart(upload.uploadId, partNumber, chunk, (loaded) => {
+                        onProgress(finishedBytes + loaded);
+                    }, signal);
+                }, refreshFinishedParts, signal);
+                finishedParts.add(partNumber);
+            }
+            onProgress(getFinishedBytes());
+        }
+        
+        const completeData = new FormData();
+        Object.entries(variants).forEach(([size, blob]) => {
+            completeData.append(size, blob, `${size}.jpg`);
+        });
+        const result = await withRetry(() => apiRequest(`/uploads/${upload.uploadId}/complete`, {
+            method: 'POST',
+            body: completeData,
+            signal
+        }), null, signal);
+        return result.result;
+    } catch (error) {
+        // Rejected contents (415) and duplicates found after assembly (409)
+        if ((error.status === 415 || error.status === 409) && error.data && error.data.result) {
+            return error.data.result;
+        }
+        // Give up on this upload so the server does not keep the parts around
+        apiRequest(`/uploads/${upload.uploadId}`, { method: 'DELETE' }).catch(() => {});
+        throw error;
+    }
+}
+
+// Upload Queue
+// Files upload separately, a few at a time, each with its own progress bar in the preview grid.
+// A file that fails keeps its place in the preview with a Retry button; the others carry on.
+const UPLOAD_CONCURRENCY = 3; // Files uploading at the same time
+const uploadEntries = new Map(); // File -> { group, status: 'queued' | 'uploading' | 'done' | 'failed', loaded, result?, error?, controller? }
+let uploadBatch = null; // { group, files } while an upload runs
+
+function formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function getUploadedBytes(file) {
+    const entry = uploadEntries.get(file);
+    if (!entry) return 0;
+    return entry.status === 'done' ? file.size : entry.loaded;
+}
+
+function getPreviewItem(file) {
+    return previewGrid.querySelector(`.preview-item[data-index="${selectedFiles.indexOf(file)}"]`);
+}
+
+// Show a file's upload state on its preview item: a progress bar, or a Retry button after a failure
+function renderUploadEntry(file, previewItem = getPreviewItem(file)) {
+    if (!previewItem) return;
+    const entry = uploadEntries.get(file);
+    previewItem.querySelector('.preview-upload')?.remove();
+    if (!entry) {
+        delete previewItem.dataset.uploadStatus;
+        return;
+    }
+    
+    previewItem.dataset.uploadStatus = entry.status;
+    const status = document.createElement('div');
+    status.className = 'preview-upload';
+    if (entry.status === 'failed') {
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'preview-retry';
+        retryBtn.title = `${entry.error.message || 'Upload failed'} - click to retry`;
+        retryBtn.textContent = '↻';
+        retryBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            retryUpload(file);
+        });
+        status.appendChild(retryBtn);
+    } else {
+        status.innerHTML = '<div class="preview-upload-bar"><div class="preview-upload-fill"></div></div>';
+        status.querySelector('.preview-upload-fill').style.width = `${Math.round(getUploadedBytes(file) / file.size * 100)}%`;
+    }
+    previewItem.appendChild(status);
+    updateTotalProgress();
+}
+
+function updateUploadProgress(file) {
+    const fill = getPreviewItem(file)?.querySelector('.preview-upload-fill');
+    if (fill) fill.style.width = `${Math.round(getUploadedBytes(file) / file.size * 100)}%`;
+    updateTotalProgress();
+}
+
+// The overall bar counts bytes across the whole batch, so large files weigh more than small ones
+function updateTotalProgress() {
+    if (!uploadBatch) return;
+    const total = uploadBatch.files.reduce((sum, batchFile) => sum + batchFile.size, 0);
+    const loaded = uploadBatch.files.reduce((sum, batchFile) => sum + getUploadedBytes(batchFile), 0);
+    const finished = uploadBatch.files.filter(batchFile => uploadEntries.get(batchFile)?.status === 'done').length;
+    progressFill.style.width = `${total > 0 ? Math.round(loaded / total * 100) : 0}%`;
+    progressText.textContent = `Uploading... ${finished} of ${uploadBatch.files.length} files, ${formatFileSize(loaded)} of ${formatFileSize(total)}`;
+}
+
+function startUploadBatch(group, files) {
+    console.log('📤 Starting upload:', {
+        files: files.length,
+        group,
+        url: `${API_BASE}/uploads`
+    });
+    
+    uploadBatch = { group, files };
+    files.forEach(file => {
+        uploadEntries.set(file, { group, status: 'queued', loaded: 0 });
+        renderUploadEntry(file);
+    });
+    
+    uploadBtn.disabled = true;
+    uploadProgress.style.display = 'block';
+    progressFill.style.width = '0%';
+    
+    // Hide any previous errors
+    uploadError.style.display = 'none';
+    uploadSuccess.style.display = 'none';
+    
+    pumpUploadQueue();
+}
+
+// Start queued files until UPLOAD_CONCURRENCY are uploading; finish the batch when nothing is left
+function pumpUploadQueue() {
+    if (!uploadBatch) return;
+    let active = uploadBatch.files.filter(file => uploadEntries.get(file).status === 'uploading').length;
+    for (const file of uploadBatch.files) {
+        if (active >= UPLOAD_CONCURRENCY) break;
+        if (uploadEntries.get(file).status !== 'queued') continue;
+        active++;
+        uploadQueuedFile(file);
+    }
+    
+    if (active === 0) {
+        finishUploadBatch();
+    } else {
+        updateTotalProgress();
+    }
+}
+
+async function uploadQueuedFile(file) {
+    const entry = uploadEntries.get(file);
+    entry.status = 'uploading';
+    entry.loaded = 0;
+    entry.controller = new AbortController();
+    renderUploadEntry(file);
+    
+    try {
+        entry.result = await uploadFileInChunks(file, entry.group, {
+            signal: entry.controller.signal,
+            onProgress: (loaded) => {
+                entry.loaded = loaded;
+                updateUploadProgress(file);
+            }
+        });
+        entry.status = 'done';
+        console.log('✅ Uploaded:', file.name, entry.result);
+    } catch (error) {
+        if (entry.controller.signal.aborted) return; // Cancelled; cancelFileUpload took it out of the batch
+        console.error('❌ Upload failed:', file.name, error);
+        entry.status = 'failed';
+        entry.error = error;
+        
+        // Session expired or missing - stop and ask for the password again
+        if (error.status === 401) {
+            renderUploadEntry(file);
+            cancelUploads();
+            showPasswordModal();
+            return;
+        }
+    }
+    
+    renderUploadEntry(file);
+    pumpUploadQueue();
+}
+
+function retryUpload(file) {
+    const entry = uploadEntries.get(file);
+    if (!entry || entry.status !== 'failed') return;
+    if (!uploadBatch) {
+        startUploadBatch(entry.group, [file]);
+        return;
+    }
+    entry.status = 'queued';
+    entry.loaded = 0;
+    renderUploadEntry(file);
+    pumpUploadQueue();
+}
+
+// Stop a file that is queued or uploading; it stays selected so it can be uploaded later
+function cancelFileUpload(file) {
+    const entry = uploadEntries.get(file);
+    if (!uploadBatch || !entry || (entry.status !== 'queued' && entry.status !== 'uploading')) return;
+    entry.controller?.abort();
+    uploadEntries.delete(file);
+    uploadBatch.files = uploadBatch.files.filter(batchFile => batchFile !== file);
+    renderUploadEntry(file);
+}
+
+function cancelUploads() {
+    if (!uploadBatch) return;
+    console.log('🛑 Upload cancelled');
+    [...uploadBatch.files].forEach(cancelFileUpload);
+    pumpUploadQueue();
+}
+
+uploadCancelBtn?.addEventListener('click', cancelUploads);
+
+uploadBtn?.addEventListener('click', () => {
+    console.log('🔵 Upload button clicked');
+    
+    if (selectedFiles.length === 0) {
+        alert('Please select at least one image to upload.');
+        return;
+    }
+    
+    let groupTitle = '';
+    if (newGroupRadio.checked) {
+        groupTitle = groupTitleInput.value.trim();
+        if (!groupTitle) {
+            alert('Please enter a group title.');
+            return;
+        }
+    } else {
+        groupTitle = existingGroupSelect.value;
+        if (!groupTitle) {
+            alert('Please select an existing group.');
+            return;
+        }
+    }
+    
+    const files = selectedFiles.filter(file => file instanceof File);
+    if (canQueueOffline()) {
+        queueOfflineUploads(groupTitle, files);
+    } else {
+        startUploadBatch(groupTitle, files);
+    }
+});
+
+// Report the results once every file in the batch has finished, failed or been cancelled
+async function finishUploadBatch() {
+    const { group: groupTitle, files } = uploadBatch;
+    uploadBatch = null;
+    
+    const doneFiles = files.filter(file => uploadEntries.get(file).status === 'done');
+    const failedFiles = files.filter(file => uploadEntries.get(file).status === 'failed');
+    const results = doneFiles.map(file => uploadEntries.get(file).result);
+    
+    const accepted = results.filter(item => item.status === 'accepted');
+    const rejected = results.filter(item => item.status === 'rejected');
+    const duplicates = results.filter(item => item.status === 'duplicate');
+    failedFiles.forEach(file => {
+        rejected.push({ name: file.name, status: 'rejected', reason: uploadEntries.get(file).error.message || 'Upload failed' });
+    });
+    console.log('📊 Upload finished:', { accepted: accepted.length, rejected: rejected.length, duplicates: duplicates.length });
+    
+    // Finished files leave the preview; failed ones stay with their Retry buttons
+    selectedFiles = selectedFiles.filter(file => !doneFiles.includes(file));
+    fileInput.value = '';
+    updatePreview();
+    
+    if (results.length === 0 && failedFiles.length === 0) {
+        // Everything was cancelled
+        uploadProgress.style.display = 'none';
+        uploadBtn.disabled = false;
+        return;
+    }
+    
+    // Duplicates from other groups can be added to this group without storing them again
+    let skipped = duplicates;
+    const linkable = duplicates.filter(item => !item.sameGroup);
+    if (linkable.length > 0 && confirm(
+        `${linkable.length === 1 ? '1 photo is' : `${linkable.length} photos are`} already in the gallery ` +
+        `(${linkable.map(item => item.name).join(', ')}). Add ${linkable.length === 1 ? 'it' : 'them'} to "${groupTitle}" without uploading again?`
+    )) {
+        skipped = duplicates.filter(item => item.sameGroup);
+        try {
+            const linked = await linkDuplicates(linkable, groupTitle);
+            linked.forEach(image => accepted.push({ name: image.id, status: 'accepted', image }));
+        } catch (error) {
+            console.error('Link duplicates error:', error);
+            linkable.forEach(item => rejected.push({ name: item.name, reason: `Could not add to group: ${error.message}` }));
+        }
+    }
+    // Duplicates that were not linked are reported with the rejected files, but do not fail the upload
+    const notUploaded = rejected.concat(skipped);
+    
+    if (accepted.length === 0 && rejected.length > 0) {
+        // Show error message
+        errorTitle.textContent = failedFiles.length > 0 ? 'Upload failed - use ↻ to retry' : 'Upload failed';
+        errorDetails.textContent = notUploaded.map(item => `${item.name}: ${item.reason}`).join('\n');
+        uploadProgress.style.display = 'none';
+        uploadError.style.display = 'flex';
+        uploadBtn.disabled = false;
+        return;
+    }
+    
+    progressFill.style.width = '100%';
+    progressText.textContent = 'Upload complete!';
+    
+    // Uploads from members who are not trusted yet wait in the review queue
+    const pendingCount = accepted.filter(item => item.image && item.image.status === 'pending').length;
+    const successText = successMessage.innerHTML;
+    if (pendingCount > 0) {
+        successMessage.textContent = pendingCount === accepted.length
+            ? '✓ Uploaded! Your photos will appear in the gallery once an admin approves them.'
+            : `✓ Uploaded! ${pendingCount} of ${accepted.length} photos will appear once an admin approves them.`;
+    }
+    
+    // Some files may have been rejected or skipped even though others were uploaded
+    if (notUploaded.length > 0) {
+        console.warn('⚠️ Some files were not uploaded:', notUploaded);
+        errorTitle.textContent = `${notUploaded.length} of ${results.length + failedFiles.length} files were not uploaded`;
+        errorDetails.textContent = notUploaded.map(item => `${item.name}: ${item.reason}`).join('\n');
+        uploadError.style.display = 'flex';
+    }
+    
+    setTimeout(() => {
+        uploadProgress.style.display = 'none';
+        uploadSuccess.style.display = 'block';
+        uploadSuccess.classList.add('success');
+        
+        setTimeout(() => {
+            uploadSuccess.style.display = 'none';
+            successMessage.innerHTML = successText;
+            uploadBtn.disabled = false;
+            loadGallery();
+        }, pendingCount > 0 ? 5000 : 2000);
+    }, 500);
+}
+
+// Offline Uploads
+// Without a connection, the selected files are handed to the service worker (sw.js) instead.
+// It keeps them in IndexedDB and sends them when the connection returns: through Background
+// Sync where the browser has it (even after the page is closed), otherwise from this page's
+// 'online' event.
+const UPLOAD_SYNC_TAG = 'gallery-uploads';
+
+function canQueueOffline() {
+    return !navigator.onLine && Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+}
+
+async function queueOfflineUploads(group, files) {
+    console.log('📴 Offline - queueing uploads:', { files: files.length, group });
+    uploadBtn.disabled = true;
+    uploadError.style.display = 'none';
+    uploadSuccess.style.display = 'none';
+    uploadProgress.style.display = 'block';
+    uploadCancelBtn.style.display = 'none';
+    progressFill.style.width = '0%';
+    
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        progressText.textContent = `Saving ${i + 1} of ${files.length} to upload later...`;
+        const { width, height, variants } = await createImageVariants(file);
+        navigator.serviceWorker.controller.postMessage({
+            type: 'queue-upload',
+            upload: { group, file, variants, width, height, details: fileDetails.get(file) || {} }
+        });
+        progressFill.style.width = `${Math.round((i + 1) / files.length * 100)}%`;
+    }
+    
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) await registration.sync.register(UPLOAD_SYNC_TAG);
+    } catch (error) {
+        console.warn('⚠️ Background Sync unavailable - queued uploads are sent while the gallery is open:', error.message);
+    }
+    
+    uploadProgress.style.display = 'none';
+    uploadCancelBtn.style.display = '';
+    selectedFiles = selectedFiles.filter(file => !files.includes(file));
+    fileInput.value = '';
+    updatePreview();
+    uploadBtn.disabled = false;
+}
+
+function flushOfflineUploads() {
+    if (navigator.onLine) {
+        navigator.serviceWorker?.controller?.postMessage({ type: 'flush-uploads' });
+    }
+}
+
+// The service worker reports the number of waiting uploads, and the results of any it sent
+function renderOfflineUploads({ pending, results, loginRequired }) {
+    if (!offlineUploads) return;
+    const photos = (count) => count === 1 ? '1 photo' : `${count} photos`;
+    const accepted = results.filter(result => result.status === 'accepted');
+    const notUploaded = results.filter(result => result.status !== 'accepted');
+    
+    const lines = [];
+    if (accepted.length > 0) {
+        lines.push(`✓ ${photos(accepted.length)} saved while offline ${accepted.length === 1 ? 'was' : 'were'} uploaded.`);
+    }
+    if (pending > 0) {
+        lines.push(loginRequired
+            ? `${photos(pending)} waiting to upload. Log in again to send ${pending === 1 ? 'it' : 'them'}.`
+            : `${photos(pending)} waiting for a connection. ${pending === 1 ? 'It' : 'They'} will upload automatically.`);
+    }
+    offlineUploadsText.textContent = lines.join(' ');
+    offlineUploads.style.display = lines.length > 0 ? 'block' : 'none';
+    
+    if (notUploaded.length > 0) {
+        errorTitle.textContent = `${notUploaded.length} of ${results.length} photos saved while offline were not uploaded`;
+        errorDetails.textContent = notUploaded.map(item => `${item.name}: ${item.reason}`).join('\n');
+        uploadError.style.display = 'flex';
+    }
+    if (accepted.length > 0 && isAuthenticated) {
+        loadGallery();
+    }
+}
+
+navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'upload-queue') {
+        renderOfflineUploads(event.data);
+    }
+});
+
+window.addEventListener('online', flushOfflineUploads);
+
+// Load Gallery
+// /api/gallery is paginated (newest first); more pages load as the user scrolls
+const GALLERY_PAGE_SIZE = 30;
+let galleryNextCursor = null;
+let isLoadingGalleryPage = false;
+let galleryLoadId = 0; // Ignores pages from a previous load after a refresh
+let groupCovers = {}; // Pinned cover image per group name
+
+// Sentinel below the grid that triggers loading the next page when it scrolls into view
+const gallerySentinel = document.createElement('div');
+gallerySentinel.className = 'gallery-sentinel';
+galleryGrid.after(gallerySentinel);
+
+const gallerySentinelObserver = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+        loadGalleryPage();
+    }
+}, { rootMargin: '400px 0px' });
+gallerySentinelObserver.observe(gallerySentinel);
+
+async function loadGallery() {
+    galleryLoadId++;
+    allImages = [];
+    galleryNextCursor = null;
+    isLoadingGalleryPage = false;
+    loadingSpinner.style.display = 'flex';
+    emptyGallery.style.display = 'none';
+    galleryGrid.innerHTML = '';
+    galleryGrid.appendChild(loadingSpinner);
+    
+    loadGroupCovers();
+    await loadGalleryPage(true);
+}
+
+// Groups without a pinned cover show their newest loaded image instead
+async function loadGroupCovers() {
+    try {
+        const groups = await apiRequest('/groups?details=1');
+        groupCovers = {};
+        groups.forEach(group => {
+            if (group.cover) groupCovers[group.name] = group.cover;
+        });
+        if (allImages.length > 0) renderGallery();
+    } catch (error) {
+        console.error('Error loading group covers:', error);
+    }
+}
+
+async function loadGalleryPage(isFirstPage = false) {
+    if (isLoadingGalleryPage || (!isFirstPage && !galleryNextCursor) || !isAuthenticated) return;
+    isLoadingGalleryPage = true;
+    const loadId = galleryLoadId;
+    
+    try {
+        const params = new URLSearchParams({ limit: GALLERY_PAGE_SIZE });
+        if (!isFirstPage) params.set('cursor', galleryNextCursor);
+        const response = await fetch(`${API_BASE}/gallery?${params}`, { credentials: 'same-origin' });
+        if (loadId !== galleryLoadId) return;
+        
+        if (response.status === 401) {
+            loadingSpinner.style.display = 'none';
+            showPasswordModal();
+            return;
+        }
+        
+        if (!response.ok && !isFirstPage) {
+            // Keep what is already shown; the next scroll retries this page
+            console.error('Gallery page load error:', response.status, response.statusText);
+            return;
+        }
+        
+        if (!response.ok) {
+            let errorMessage = 'Failed to load gallery';
+            let errorDetails = '';
+            
+            // Handle 405 Method Not Allowed specifically
+            if (response.status === 405) {
+                try {
+                    const errorData = await response.json();
+                    errorMessage = 'Method Not Allowed';
+                    errorDetails = errorData.details || 'Invalid HTTP method used';
+                } catch (e) {
+                    errorMessage = 'Method Not Allowed';
+                    errorDetails = 'Gallery endpoint requires GET method. Please ensure you are using the correct HTTP method.';
+                }
+            } else {
+                try {
+                    const errorData = await response.json();
+                    errorMessage = errorData.error || errorMessage;
+                    errorDetails = errorData.details || '';
+                    
+                    // Check for binding errors
+                    if (errorMessage.includes('binding') || errorMessage.includes('R2') || errorMessage.includes('KV')) {
+                        errorDetails += '\n\nRequired bindings:\n- R2: gallery-imagessda\n- KV: GALLERY_SSDA';
+                    }
+                } catch (e) {
+                    errorDetails = `HTTP ${response.status}: ${response.statusText}`;
+                }
+            }
+            
+            loadingSpinner.style.display = 'none';
+            galleryGrid.innerHTML = `
+                <div class="gallery-error" style="text-align: center; padding: 40px; color: var(--error-color, #e74c3c);">
+                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="margin-bottom: 20px;">
+                        <circle cx="12" cy="12" r="10"/>
+                        <line x1="12" y1="8" x2="12" y2="12"/>
+                        <line x1="12" y1="16" x2="12.01" y2="16"/>
                     </svg>
                     <h3 style="margin-bottom: 10px;">Error Loading Gallery</h3>
                     <p style="margin-bottom: 15px; font-weight: bold;">${errorMessage}</p>
@@ -483,143 +1533,14 @@ async function loadGallery() {
         }
         
         const data = await response.json();
-        allImages = data.images || [];
+        allImages.push(...(data.images || []));
+        galleryNextCursor = data.nextCursor || null;
         
         loadingSpinner.style.display = 'none';
-        
-        if (allImages.length === 0) {
-            emptyGallery.style.display = 'block';
-            galleryGrid.appendChild(emptyGallery);
-            return;
-        }
-        
-        // Group images by group
-        const groupedImages = {};
-        allImages.forEach(img => {
-            const group = img.group || 'Ungrouped';
-            if (!groupedImages[group]) {
-                groupedImages[group] = [];
-            }
-            groupedImages[group].push(img);
-        });
-        
-        // Display groups
-        Object.keys(groupedImages).sort().forEach(groupName => {
-            const groupCard = document.createElement('div');
-            groupCard.className = 'gallery-item-card';
-            
-            // Create cover image element
-            const coverImg = document.createElement('img');
-            const firstImage = groupedImages[groupName][0];
-            // Construct absolute URL from relative URL returned by API
-            // The API returns URLs like /api/image/gallery-images/gallery-image/image-123.jpg
-            // We need to ensure proper encoding for paths with slashes
-            let coverUrl = firstImage.url;
-            if (!coverUrl.startsWith('http')) {
-                // Ensure the path segments are properly encoded if needed
-                coverUrl = `${API_BASE_URL}${coverUrl}`;
-            }
-            coverImg.src = coverUrl;
-            coverImg.alt = groupName;
-            coverImg.loading = 'lazy';
-            coverImg.crossOrigin = 'anonymous'; // Help with CORS if needed
-            
-            // Error handling for image loading with visible error messages
-            coverImg.onerror = async function() {
-                const originalSrc = this.src;
-                console.error('❌ Failed to load image:', originalSrc);
-                
-                // Show error message in overlay
-                const errorOverlay = document.createElement('div');
-                errorOverlay.className = 'image-error-overlay';
-                errorOverlay.innerHTML = `
-                    <div class="image-error-message">
-                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                            <circle cx="12" cy="12" r="10" stroke-width="2"/>
-                            <line x1="12" y1="8" x2="12" y2="12" stroke-width="2"/>
-                            <line x1="12" y1="16" x2="12.01" y2="16" stroke-width="2"/>
-                        </svg>
-                        <p>Image failed to load</p>
-                        <small>Check console for details</small>
-                    </div>
-                `;
-                groupCard.appendChild(errorOverlay);
-                
-                // Try to diagnose the issue
-                try {
-                    const testResponse = await fetch(originalSrc, { method: 'HEAD' });
-                    if (testResponse.status === 404) {
-                        errorOverlay.querySelector('p').textContent = 'Image not found (404)';
-                        errorOverlay.querySelector('small').textContent = 'Image may have been deleted or R2 binding issue';
-                    } else if (testResponse.status === 500) {
-                        errorOverlay.querySelector('p').textContent = 'Server error (500)';
-                        errorOverlay.querySelector('small').textContent = 'R2 binding may not be configured. Check: gallery-imagessda';
-                    } else if (!testResponse.ok) {
-                        errorOverlay.querySelector('p').textContent = `Error ${testResponse.status}`;
-                        errorOverlay.querySelector('small').textContent = testResponse.statusText || 'Unknown error';
-                    }
-                } catch (fetchError) {
-                    errorOverlay.querySelector('p').textContent = 'Network error';
-                    errorOverlay.querySelector('small').textContent = 'Check internet connection or CORS settings';
-                    console.error('Image fetch error:', fetchError);
-                }
-                
-                // Try to reload once after a delay
-                setTimeout(() => {
-                    if (this.src === originalSrc && !originalSrc.startsWith('data:')) {
-                        console.log('Retrying image load:', originalSrc);
-                        errorOverlay.remove();
-                        this.src = originalSrc + '?t=' + Date.now(); // Cache bust
-                    }
-                }, 1000);
-                
-                // Fallback to placeholder
-                setTimeout(() => {
-                    if (this.naturalWidth === 0 && this.src !== 'data:') {
-                        this.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="400"%3E%3Crect fill="%23f0f0f0" width="400" height="400"/%3E%3Ctext fill="%23999" font-family="sans-serif" font-size="18" dy="10.5" font-weight="bold" x="50%25" y="50%25" text-anchor="middle"%3EImage Error%3C/text%3E%3C/svg%3E';
-                    }
-                }, 2000);
-            };
-            coverImg.onload = function() {
-                console.log('✅ Successfully loaded image:', this.src, 'Dimensions:', this.naturalWidth, 'x', this.naturalHeight);
-            };
-            
-            // Create overlay
-            const overlay = document.createElement('div');
-            overlay.className = 'gallery-item-overlay';
-            overlay.innerHTML = `
-                <h3 class="gallery-item-title">${groupName}</h3>
-                <p class="gallery-item-count">${groupedImages[groupName].length} ${groupedImages[groupName].length === 1 ? 'image' : 'images'}</p>
-            `;
-            
-            // Create delete button
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'gallery-item-delete';
-            deleteBtn.setAttribute('data-group', groupName);
-            deleteBtn.title = 'Delete group';
-            deleteBtn.innerHTML = '🗑️';
-            
-            // Assemble card
-            groupCard.appendChild(coverImg);
-            groupCard.appendChild(overlay);
-            groupCard.appendChild(deleteBtn);
-            
-            groupCard.addEventListener('click', (e) => {
-                if (e.target.classList.contains('gallery-item-delete')) {
-                    e.stopPropagation();
-                    if (confirm(`Delete all images in "${groupName}"?`)) {
-                        deleteGroup(groupName);
-                    }
-                    return;
-                }
-                showGroupSlideshow(groupName, groupedImages[groupName]);
-            });
-            
-            galleryGrid.appendChild(groupCard);
-        });
-        
+        renderGallery();
     } catch (error) {
         console.error('Error loading gallery:', error);
+        if (!isFirstPage) return;
         loadingSpinner.style.display = 'none';
         galleryGrid.innerHTML = `
             <div class="gallery-error" style="text-align: center; padding: 40px; color: var(--error-color, #e74c3c);">
@@ -641,34 +1562,662 @@ Check browser console (F12) for detailed error information.
                 </pre>
             </div>
         `;
+    } finally {
+        if (loadId === galleryLoadId) {
+            isLoadingGalleryPage = false;
+        }
+    }
+    
+    // Keep filling the screen if the sentinel is still visible after rendering
+    if (loadId === galleryLoadId && galleryNextCursor) {
+        const sentinelTop = gallerySentinel.getBoundingClientRect().top;
+        if (sentinelTop < window.innerHeight + 400) {
+            loadGalleryPage();
+        }
+    }
+}
+
+// Render the loaded images as group cards, newest activity first
+function renderGallery() {
+    galleryGrid.innerHTML = '';
+    
+    if (allImages.length === 0) {
+        emptyGallery.style.display = 'block';
+        galleryGrid.appendChild(emptyGallery);
+        return;
+    }
+    emptyGallery.style.display = 'none';
+    
+    // Group images by group
+    const groupedImages = {};
+    allImages.forEach(img => {
+        const group = img.group || 'Ungrouped';
+        if (!groupedImages[group]) {
+            groupedImages[group] = [];
+        }
+        groupedImages[group].push(img);
+    });
+    
+    // Display groups (in order of their newest image, so cards don't jump as pages load)
+    Object.keys(groupedImages).forEach(groupName => {
+        const groupCard = document.createElement('div');
+        groupCard.className = 'gallery-item-card';
+        
+        // Create cover image element
+        const coverImg = document.createElement('img');
+        const coverImage = groupCovers[groupName] || groupedImages[groupName][0];
+        // Phones pick the thumbnail, wide screens the medium variant
+        coverImg.src = getImageUrl(coverImage, 'thumb');
+        coverImg.srcset = `${getImageUrl(coverImage, 'thumb')} ${IMAGE_VARIANTS.thumb}w, ${getImageUrl(coverImage, 'medium')} ${IMAGE_VARIANTS.medium}w`;
+        coverImg.sizes = '(max-width: 600px) 100vw, 320px';
+        coverImg.alt = coverImage.alt || groupName;
+        coverImg.loading = 'lazy';
+        coverImg.crossOrigin = 'anonymous'; // Help with CORS if needed
+        
+        // Error handling for image loading with visible error messages
+        coverImg.onerror = async function() {
+            const originalSrc = this.src;
+            console.error('❌ Failed to load image:', originalSrc);
+            
+            // Show error message in overlay
+            const errorOverlay = document.createElement('div');
+            errorOverlay.className = 'image-error-overlay';
+            errorOverlay.innerHTML = `
+                <div class="image-error-message">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <circle cx="12" cy="12" r="10" stroke-width="2"/>
+                        <line x1="12" y1="8" x2="12" y2="12" stroke-width="2"/>
+                        <line x1="12" y1="16" x2="12.01" y2="16" stroke-width="2"/>
+                    </svg>
+                    <p>Image failed to load</p>
+                    <small>Check console for details</small>
+                </div>
+            `;
+            groupCard.appendChild(errorOverlay);
+            
+            // Try to diagnose the issue
+            try {
+                const testResponse = await fetch(originalSrc, { method: 'HEAD' });
+                if (testResponse.status === 404) {
+                    errorOverlay.querySelector('p').textContent = 'Image not found (404)';
+                    errorOverlay.querySelector('small').textContent = 'Image may have been deleted or R2 binding issue';
+                } else if (testResponse.status === 500) {
+                    errorOverlay.querySelector('p').textContent = 'Server error (500)';
+                    errorOverlay.querySelector('small').textContent = 'R2 binding may not be configured. Check: gallery-imagessda';
+                } else if (!testResponse.ok) {
+                    errorOverlay.querySelector('p').textContent = `Error ${testResponse.status}`;
+                    errorOverlay.querySelector('small').textContent = testResponse.statusText || 'Unknown error';
+                }
+            } catch (fetchError) {
+                errorOverlay.querySelector('p').textContent = 'Network error';
+                errorOverlay.querySelector('small').textContent = 'Check internet connection or CORS settings';
+                console.error('Image fetch error:', fetchError);
+            }
+            
+            // Try to reload once after a delay
+            setTimeout(() => {
+                if (this.src === originalSrc && !originalSrc.startsWith('data:')) {
+                    console.log('Retrying image load:', originalSrc);
+                    errorOverlay.remove();
+                    this.removeAttribute('srcset');
+                    this.src = withCacheBust(originalSrc);
+                }
+            }, 1000);
+            
+            // Fallback to placeholder
+            setTimeout(() => {
+                if (this.naturalWidth === 0 && this.src !== 'data:') {
+                    this.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="400"%3E%3Crect fill="%23f0f0f0" width="400" height="400"/%3E%3Ctext fill="%23999" font-family="sans-serif" font-size="18" dy="10.5" font-weight="bold" x="50%25" y="50%25" text-anchor="middle"%3EImage Error%3C/text%3E%3C/svg%3E';
+                }
+            }, 2000);
+        };
+        coverImg.onload = function() {
+            console.log('✅ Successfully loaded image:', this.src, 'Dimensions:', this.naturalWidth, 'x', this.naturalHeight);
+        };
+        
+        // Create overlay
+        const overlay = document.createElement('div');
+        overlay.className = 'gallery-item-overlay';
+        overlay.innerHTML = `
+            <h3 class="gallery-item-title">${groupName}</h3>
+            <p class="gallery-item-count">${groupedImages[groupName].length}${galleryNextCursor ? '+' : ''} ${groupedImages[groupName].length === 1 && !galleryNextCursor ? 'image' : 'images'}</p>
+        `;
+        
+        // Assemble card
+        groupCard.appendChild(coverImg);
+        groupCard.appendChild(overlay);
+        
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'gallery-item-download';
+        downloadBtn.title = 'Download all';
+        downloadBtn.innerHTML = '⬇️';
+        groupCard.appendChild(downloadBtn);
+        
+        // Create manage and delete buttons (admins only)
+        if (canDelete()) {
+            const manageBtn = document.createElement('button');
+            manageBtn.className = 'gallery-item-manage';
+            manageBtn.title = 'Manage group';
+            manageBtn.innerHTML = '✏️';
+            groupCard.appendChild(manageBtn);
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'gallery-item-delete';
+            deleteBtn.setAttribute('data-group', groupName);
+            deleteBtn.title = 'Delete group';
+            deleteBtn.innerHTML = '🗑️';
+            groupCard.appendChild(deleteBtn);
+        }
+        
+        groupCard.addEventListener('click', (e) => {
+            if (e.target.classList.contains('gallery-item-download')) {
+                e.stopPropagation();
+                downloadGroup(groupName);
+                return;
+            }
+            if (e.target.classList.contains('gallery-item-manage')) {
+                e.stopPropagation();
+                openGroupManager(groupName);
+                return;
+            }
+            if (e.target.classList.contains('gallery-item-delete')) {
+                e.stopPropagation();
+                if (confirm(`Move all images in "${groupName}" to Recently deleted?`)) {
+                    deleteGroup(groupName);
+                }
+                return;
+            }
+            openGroupView(groupName);
+        });
+        
+        galleryGrid.appendChild(groupCard);
+    });
+}
+
+// Fetch every image in a group (the main grid may only have loaded some of them)
+async function fetchGroupImages(groupName) {
+    const images = [];
+    let cursor = null;
+    do {
+        const params = new URLSearchParams({ group: groupName, limit: 100 });
+        if (cursor) params.set('cursor', cursor);
+        const response = await fetch(`${API_BASE}/gallery?${params}`, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const data = await response.json();
+        images.push(...(data.images || []));
+        cursor = data.nextCursor;
+    } while (cursor);
+    return images;
+}
+
+// Always fetch the group itself: it may have more images than were loaded, in a custom order
+// startImageId opens the slideshow at that image instead of the first one
+async function openGroup(groupName, loadedImages, startImageId) {
+    let images = loadedImages;
+    try {
+        images = await fetchGroupImages(groupName);
+    } catch (error) {
+        console.error('Error loading group images, showing loaded images only:', error);
     }
+    const startIndex = images.findIndex(image => image.id === startImageId);
+    showGroupSlideshow(groupName, images, Math.max(startIndex, 0));
 }
 
 refreshGalleryBtn.addEventListener('click', () => {
     loadGallery();
 });
 
+// Group Downloads
+// The server streams every original in the group as one ZIP file; share link visitors
+// pass their token instead of a session. imageIds limits the archive to those images
+function downloadGroup(groupName, imageIds) {
+    const params = new URLSearchParams();
+    if (shareToken) params.set('share', shareToken);
+    if (imageIds) params.set('ids', imageIds.join(','));
+    const query = params.toString() ? `?${params}` : '';
+    const link = document.createElement('a');
+    link.href = `${API_BASE}/groups/${encodeURIComponent(groupName)}/archive${query}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+downloadGroupBtn?.addEventListener('click', () => {
+    const image = currentGroup[currentImageIndex];
+    if (image) downloadGroup(image.group || 'Ungrouped');
+});
+
+// Group View
+// gallery.html#group=<name> shows every photo in a group as a grid, so a group can be bookmarked
+// and several photos downloaded, moved or deleted at once
+const ARCHIVE_MAX_SELECTION = 200; // Selected IDs travel in the download URL
+let viewedGroup = null;
+let viewedImages = [];
+let groupViewChanged = false;
+let groupViewLoadId = 0; // Ignores loads for a group that is no longer shown
+const selectedImageIds = new Set();
+
+function openGroupView(groupName) {
+    window.location.hash = `group=${encodeURIComponent(groupName)}`;
+}
+
+function closeGroupView() {
+    history.pushState(null, '', window.location.pathname + window.location.search);
+    applyLocationHash();
+}
+
+// Show the group named in the URL hash, or the gallery when there is none,
+// and open the slideshow when the hash names a photo (see Slideshow Links)
+async function applyLocationHash() {
+    const groupName = new URLSearchParams(window.location.hash.substring(1)).get('group');
+    if (!groupName) {
+        if (slideshowModal.classList.contains('active')) hideSlideshow();
+        if (viewedGroup) hideGroupView();
+        return;
+    }
+    
+    if (groupName !== viewedGroup) await showGroupView(groupName);
+    openSlideshowFromHash();
+}
+
+function openSlideshowFromHash() {
+    const index = getHashImageIndex();
+    if (viewedGroup && index >= 0 && index < viewedImages.length) {
+        showGroupSlideshow(viewedGroup, viewedImages, index);
+    }
+}
+
+window.addEventListener('hashchange', () => {
+    if (!shareToken && galleryMainContent.style.display === 'block') {
+        applyLocationHash();
+    }
+});
+
+// images skips the fetch when the caller already has the whole group (share links)
+async function showGroupView(groupName, images) {
+    const loadId = ++groupViewLoadId;
+    viewedGroup = groupName;
+    viewedImages = images || [];
+    selectedImageIds.clear();
+    
+    galleryDisplaySection.style.display = 'none';
+    trashSection.style.display = 'none';
+    if (reviewSection) reviewSection.style.display = 'none';
+    groupViewSection.style.display = 'block';
+    groupViewTitle.textContent = groupName;
+    groupBackBtn.style.display = shareToken ? 'none' : '';
+    groupViewSection.querySelectorAll('.group-admin-action').forEach(button => {
+        button.style.display = canDelete() ? '' : 'none';
+    });
+    
+    if (images) {
+        renderGroupView();
+        return;
+    }
+    
+    groupViewGrid.innerHTML = '';
+    groupViewEmpty.style.display = 'none';
+    groupSelectionCount.textContent = 'Loading...';
+    try {
+        const loaded = await fetchGroupImages(groupName);
+        if (loadId !== groupViewLoadId) return;
+        viewedImages = loaded;
+        renderGroupView();
+    } catch (error) {
+        if (loadId !== groupViewLoadId) return;
+        console.error('Error loading group:', error);
+        groupSelectionCount.textContent = '';
+        const message = document.createElement('p');
+        message.className = 'gallery-error';
+        message.textContent = `Failed to load photos: ${error.message}`;
+        groupViewGrid.appendChild(message);
+    }
+}
+
+function hideGroupView() {
+    groupViewLoadId++;
+    viewedGroup = null;
+    viewedImages = [];
+    selectedImageIds.clear();
+    groupViewSection.style.display = 'none';
+    galleryDisplaySection.style.display = '';
+    if (groupViewChanged) {
+        groupViewChanged = false;
+        loadGallery();
+    }
+}
+
+function renderGroupView() {
+    groupViewGrid.innerHTML = '';
+    groupViewEmpty.style.display = viewedImages.length === 0 ? 'block' : 'none';
+    groupSlideshowBtn.disabled = viewedImages.length === 0;
+    groupDownloadBtn.disabled = viewedImages.length === 0;
+    
+    viewedImages.forEach((image, index) => {
+        const item = document.createElement('div');
+        item.className = 'group-view-item';
+        item.classList.toggle('is-selected', selectedImageIds.has(image.id));
+        
+        const img = document.createElement('img');
+        img.src = getImageUrl(image, 'thumb');
+        img.alt = image.alt || image.caption || viewedGroup;
+        img.loading = 'lazy';
+        item.appendChild(img);
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selectedImageIds.has(image.id);
+        checkbox.setAttribute('aria-label', `Select photo ${index + 1}`);
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedImageIds.add(image.id);
+            } else {
+                selectedImageIds.delete(image.id);
+            }
+            item.classList.toggle('is-selected', checkbox.checked);
+            updateGroupSelection();
+        });
+        item.appendChild(checkbox);
+        
+        if (image.caption) {
+            const caption = document.createElement('p');
+            caption.className = 'group-view-caption';
+            caption.textContent = image.caption;
+            item.appendChild(caption);
+        }
+        
+        item.addEventListener('click', () => showGroupSlideshow(viewedGroup, viewedImages, index));
+        groupViewGrid.appendChild(item);
+    });
+    updateGroupSelection();
+}
+
+function updateGroupSelection() {
+    const count = selectedImageIds.size;
+    const total = viewedImages.length;
+    groupSelectionCount.textContent = count > 0
+        ? `${count} of ${total} selected`
+        : `${total} ${total === 1 ? 'photo' : 'photos'}`;
+    groupSelectAll.checked = total > 0 && count === total;
+    groupSelectAll.indeterminate = count > 0 && count < total;
+    [groupDownloadSelectedBtn, groupMoveSelectedBtn, groupDeleteSelectedBtn].forEach(button => {
+        button.disabled = count === 0;
+    });
+}
+
+// Runs a bulk action on the selection, then drops the affected images from the view
+async function runSelectionAction(action, failureMessage) {
+    const imageIds = [...selectedImageIds];
+    try {
+        await action(imageIds);
+    } catch (error) {
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error(`${failureMessage}:`, error);
+        alert(`${failureMessage}: ${error.message || 'Unknown error'}`);
+        return;
+    }
+    groupViewChanged = true;
+    viewedImages = viewedImages.filter(image => !selectedImageIds.has(image.id));
+    selectedImageIds.clear();
+    renderGroupView();
+}
+
+groupSelectAll?.addEventListener('change', () => {
+    selectedImageIds.clear();
+    if (groupSelectAll.checked) {
+        viewedImages.forEach(image => selectedImageIds.add(image.id));
+    }
+    renderGroupView();
+});
+
+groupSlideshowBtn?.addEventListener('click', () => {
+    showGroupSlideshow(viewedGroup, viewedImages, 0);
+});
+
+groupDownloadBtn?.addEventListener('click', () => downloadGroup(viewedGroup));
+
+groupDownloadSelectedBtn?.addEventListener('click', () => {
+    if (selectedImageIds.size === viewedImages.length) {
+        downloadGroup(viewedGroup);
+    } else if (selectedImageIds.size > ARCHIVE_MAX_SELECTION) {
+        alert(`Select at most ${ARCHIVE_MAX_SELECTION} photos to download, or use Download all.`);
+    } else {
+        downloadGroup(viewedGroup, [...selectedImageIds]);
+    }
+});
+
+groupMoveSelectedBtn?.addEventListener('click', async () => {
+    const count = selectedImageIds.size;
+    const target = await promptForGroup(`Move ${count} selected ${count === 1 ? 'photo' : 'photos'} to which group?`, viewedGroup);
+    if (!target || target === viewedGroup) return;
+    
+    await runSelectionAction(imageIds => apiRequest('/images/move', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: imageIds, group: target })
+    }), 'Failed to move photos');
+});
+
+groupDeleteSelectedBtn?.addEventListener('click', async () => {
+    const count = selectedImageIds.size;
+    if (!confirm(`Move ${count} selected ${count === 1 ? 'photo' : 'photos'} to Recently deleted?`)) return;
+    
+    await runSelectionAction(imageIds => apiRequest('/images/delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: imageIds })
+    }), 'Failed to delete photos');
+});
+
+groupBackBtn?.addEventListener('click', closeGroupView);
+
+// Shared Group
+// gallery.html?share=<token> shows the one group a share link was made for, read-only and
+// without the gallery password
+async function showSharedGroup() {
+    hidePasswordModal();
+    galleryMainContent.style.display = 'block';
+    [uploadSection, gallerySearchForm, logoutBtn, refreshGalleryBtn, deleteImageBtn, editImageBtn].forEach(element => {
+        if (element) element.style.display = 'none';
+    });
+    loadingSpinner.style.display = 'flex';
+    
+    try {
+        const images = [];
+        let data;
+        let cursor = null;
+        do {
+            const params = new URLSearchParams({ share: shareToken, limit: 100 });
+            if (cursor) params.set('cursor', cursor);
+            data = await apiRequest(`/shared?${params}`);
+            images.push(...data.images);
+            cursor = data.nextCursor;
+        } while (cursor);
+        
+        document.title = `${data.group} - Gallery`;
+        shareNote.textContent = `Shared album · this link works until ${new Date(data.expiresAt).toLocaleDateString()}`;
+        shareNote.style.display = 'block';
+        showGroupView(data.group, images);
+        openSlideshowFromHash();
+    } catch (error) {
+        console.error('Error loading shared group:', error);
+        galleryGrid.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'gallery-error';
+        message.textContent = error.status === 401
+            ? 'This share link has expired or was revoked. Ask the person who sent it for a new one.'
+            : `Failed to load the shared album: ${error.message}`;
+        galleryGrid.appendChild(message);
+    }
+}
+
+// Search
+// /api/search matches the start of words in group names, captions and tags; the same words are
+// highlighted in the results
+const SEARCH_DELAY = 300; // ms after the last keystroke
+let searchTimer = null;
+let searchId = 0; // Ignores responses to queries that have since changed
+
+function getSearchWords(query) {
+    return query.normalize('NFKC').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Append text to an element with every word that starts with a search word wrapped in <mark>
+function appendHighlighted(element, text, words) {
+    const normalized = text.normalize('NFKC');
+    if (words.length === 0) {
+        element.textContent = normalized;
+        return;
+    }
+    // Search words only contain letters and digits, so they need no escaping
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join('|')})`, 'giu');
+    let lastIndex = 0;
+    for (const match of normalized.matchAll(pattern)) {
+        element.append(normalized.slice(lastIndex, match.index));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        element.appendChild(mark);
+        lastIndex = match.index + match[0].length;
+    }
+    element.append(normalized.slice(lastIndex));
+}
+
+function clearSearch() {
+    searchId++;
+    searchResults.style.display = 'none';
+    galleryGrid.style.display = '';
+    gallerySentinel.style.display = '';
+}
+
+async function runSearch(query) {
+    const id = ++searchId;
+    try {
+        const data = await apiRequest(`/search?${new URLSearchParams({ q: query })}`);
+        if (id !== searchId) return;
+        renderSearchResults(data, getSearchWords(query));
+    } catch (error) {
+        if (id !== searchId) return;
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error('Search error:', error);
+        searchGroups.innerHTML = '';
+        searchImages.innerHTML = '';
+        searchSummary.textContent = `Search failed: ${error.message}`;
+        searchResults.style.display = 'block';
+    }
+}
+
+function renderSearchResults(data, words) {
+    searchGroups.innerHTML = '';
+    searchImages.innerHTML = '';
+    
+    const total = data.groups.length + data.images.length;
+    searchSummary.textContent = total === 0
+        ? `No results for "${data.query}"`
+        : `${data.images.length} photo${data.images.length === 1 ? '' : 's'} and ${data.groups.length} group${data.groups.length === 1 ? '' : 's'} for "${data.query}"`;
+    if (data.truncated) {
+        searchSummary.textContent += ' (more photos may match; add words to narrow the search)';
+    }
+    
+    data.groups.forEach(groupName => {
+        const groupBtn = document.createElement('button');
+        groupBtn.className = 'gallery-logout';
+        appendHighlighted(groupBtn, groupName, words);
+        groupBtn.addEventListener('click', () => openGroup(groupName, []));
+        searchGroups.appendChild(groupBtn);
+    });
+    
+    data.images.forEach(image => {
+        const groupName = image.group || 'Ungrouped';
+        const result = document.createElement('button');
+        result.className = 'search-result';
+        
+        const img = document.createElement('img');
+        img.src = getImageUrl(image, 'thumb');
+        img.alt = image.alt || image.caption || groupName;
+        img.loading = 'lazy';
+        
+        const text = document.createElement('span');
+        text.className = 'search-result-text';
+        const group = document.createElement('span');
+        group.className = 'search-result-group';
+        appendHighlighted(group, groupName, words);
+        text.appendChild(group);
+        if (image.caption) {
+            const caption = document.createElement('span');
+            appendHighlighted(caption, image.caption, words);
+            text.appendChild(caption);
+        }
+        if (image.tags && image.tags.length > 0) {
+            const tags = document.createElement('span');
+            tags.className = 'search-result-tags';
+            appendHighlighted(tags, image.tags.map(tag => `#${tag}`).join(' '), words);
+            text.appendChild(tags);
+        }
+        
+        result.append(img, text);
+        result.addEventListener('click', () => openGroup(groupName, [image], image.id));
+        searchImages.appendChild(result);
+    });
+    
+    searchResults.style.display = 'block';
+    galleryGrid.style.display = 'none';
+    gallerySentinel.style.display = 'none';
+}
+
+gallerySearchInput?.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    const query = gallerySearchInput.value.trim();
+    if (getSearchWords(query).length === 0) {
+        clearSearch();
+        return;
+    }
+    searchTimer = setTimeout(() => runSearch(query), SEARCH_DELAY);
+});
+
+gallerySearchForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    clearTimeout(searchTimer);
+    const query = gallerySearchInput.value.trim();
+    if (getSearchWords(query).length > 0) runSearch(query);
+});
+
 // Slideshow
-function showGroupSlideshow(groupName, images) {
+function showGroupSlideshow(groupName, images, startIndex = 0) {
     currentGroup = images;
-    currentImageIndex = 0;
+    currentGroupName = groupName;
+    currentImageIndex = startIndex;
     showSlideshow();
 }
 
+// Small screens get the medium variant, large screens the original
+function setSlideshowSources(img, image) {
+    const imageUrl = getImageUrl(image, 'medium');
+    img.sizes = '90vw';
+    img.srcset = `${imageUrl} ${IMAGE_VARIANTS.medium}w, ${getImageUrl(image)} ${image.width || 4096}w`;
+    img.src = imageUrl;
+}
+
 function showSlideshow() {
     if (currentGroup.length === 0) return;
     
     const image = currentGroup[currentImageIndex];
     // Construct absolute URL from relative URL returned by API
     // The API returns URLs like /api/image/gallery-images/gallery-image/image-123.jpg
-    let imageUrl = image.url;
-    if (!imageUrl.startsWith('http')) {
-        imageUrl = `${API_BASE_URL}${imageUrl}`;
-    }
-    
-    console.log('Loading slideshow image:', imageUrl);
-    slideshowImage.src = imageUrl;
-    slideshowImage.alt = image.originalName || image.fileName || 'Gallery image';
+    console.log('Loading slideshow image:', getImageUrl(image, 'medium'));
+    setSlideshowSources(slideshowImage, image);
+    resetSlideshowZoom();
+    slideshowImage.alt = image.alt || image.caption || `Photo from ${image.group || 'the gallery'}`;
+    renderSlideshowDetails(image);
     slideshowImage.crossOrigin = 'anonymous'; // Help with CORS if needed
     slideshowCounter.textContent = `${currentImageIndex + 1} / ${currentGroup.length}`;
     slideshowModal.classList.add('active');
@@ -716,7 +2265,8 @@ function showSlideshow() {
             if (this.src === originalSrc && !originalSrc.startsWith('data:')) {
                 console.log('Retrying slideshow image load:', originalSrc);
                 errorMsg.remove();
-                this.src = originalSrc + '?t=' + Date.now(); // Cache bust
+                this.removeAttribute('srcset');
+                this.src = withCacheBust(originalSrc);
             }
         }, 1000);
     };
@@ -725,17 +2275,84 @@ function showSlideshow() {
     };
     
     deleteImageBtn.onclick = () => {
-        if (confirm('Delete this image?')) {
+        if (confirm('Move this image to Recently deleted?')) {
             deleteImage(image.id);
         }
     };
+    if (editImageBtn && !shareToken) {
+        editImageBtn.style.display = canEditImage(image) ? '' : 'none';
+    }
+    
+    preloadSlideshowNeighbours();
+    updateSlideshowHash();
+    scheduleAutoplay();
+}
+
+// Load the previous and next images in the background so paging through is instant
+function preloadSlideshowNeighbours() {
+    const count = currentGroup.length;
+    if (count < 2) return;
+    const neighbours = new Set([(currentImageIndex + 1) % count, (currentImageIndex - 1 + count) % count]);
+    neighbours.forEach(index => setSlideshowSources(new Image(), currentGroup[index]));
 }
 
+function renderSlideshowDetails(image) {
+    slideshowCaptionText.textContent = image.caption || '';
+    slideshowCredit.textContent = image.credit ? `📷 ${image.credit}` : '';
+    slideshowTags.textContent = (image.tags || []).map(tag => `#${tag}`).join(' ');
+    slideshowDetailsForm.hidden = true;
+}
+
+editImageBtn?.addEventListener('click', () => {
+    const image = currentGroup[currentImageIndex];
+    stopAutoplay();
+    fillDetailsForm(slideshowDetailsForm, image);
+    slideshowDetailsForm.hidden = !slideshowDetailsForm.hidden;
+});
+
+slideshowDetailsCancel?.addEventListener('click', () => {
+    slideshowDetailsForm.hidden = true;
+});
+
+slideshowDetailsForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const image = currentGroup[currentImageIndex];
+    try {
+        const result = await apiRequest(`/images/${encodeURIComponent(image.id)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(readDetailsForm(slideshowDetailsForm))
+        });
+        
+        // Keep the open slideshow and the loaded grid in sync with the saved record
+        currentGroup[currentImageIndex] = result.image;
+        const loadedIndex = allImages.findIndex(loaded => loaded.id === image.id);
+        if (loadedIndex !== -1) allImages[loadedIndex] = result.image;
+        slideshowImage.alt = result.image.alt || result.image.caption || `Photo from ${result.image.group || 'the gallery'}`;
+        renderSlideshowDetails(result.image);
+    } catch (error) {
+        if (error.status === 401) {
+            hideSlideshow();
+            showPasswordModal();
+            return;
+        }
+        console.error('Update image error:', error);
+        alert(`Failed to save details: ${error.message || 'Unknown error'}`);
+    }
+});
+
 function hideSlideshow() {
     slideshowModal.classList.remove('active');
     document.body.classList.remove('body-no-scroll');
+    stopAutoplay();
+    if (getFullscreenElement() === slideshowModal) exitFullscreen();
+    resetSlideshowZoom();
     currentGroup = null;
+    currentGroupName = null;
     currentImageIndex = 0;
+    replaceLocationHash(viewedGroup ? `group=${encodeURIComponent(viewedGroup)}` : '');
+    // Captions may have been edited in the slideshow
+    if (viewedGroup) renderGroupView();
 }
 
 slideshowClose.addEventListener('click', hideSlideshow);
@@ -766,23 +2383,209 @@ slideshowModal.addEventListener('click', (e) => {
 
 document.addEventListener('keydown', (e) => {
     if (!slideshowModal.classList.contains('active')) return;
+    // Let the details form use the arrow keys
+    if (e.target.closest && e.target.closest('input, textarea')) return;
     
-    if (e.key === 'Escape') {
+    // Escape leaves fullscreen first (the browser handles that key itself)
+    if (e.key === 'Escape' && !getFullscreenElement()) {
         hideSlideshow();
     } else if (e.key === 'ArrowLeft') {
         slideshowPrev.click();
     } else if (e.key === 'ArrowRight') {
         slideshowNext.click();
+    } else if (e.key === ' ' && !e.target.closest('button, select')) {
+        e.preventDefault();
+        toggleAutoplay();
+    } else if (e.key === 'f' || e.key === 'F') {
+        toggleFullscreen();
+    }
+});
+
+// Slideshow Autoplay
+// Advances to the next photo every few seconds (e.g. on a projector at an event); the interval
+// is remembered in localStorage. Paging by hand restarts the countdown.
+const AUTOPLAY_INTERVAL_KEY = 'gallerySlideshowInterval';
+const AUTOPLAY_DEFAULT_INTERVAL = 5; // seconds
+let autoplayTimer = null;
+let isAutoplaying = false;
+
+function getAutoplayInterval() {
+    return Number(localStorage.getItem(AUTOPLAY_INTERVAL_KEY)) || AUTOPLAY_DEFAULT_INTERVAL;
+}
+
+function scheduleAutoplay() {
+    clearTimeout(autoplayTimer);
+    if (!isAutoplaying) return;
+    autoplayTimer = setTimeout(() => slideshowNext.click(), getAutoplayInterval() * 1000);
+}
+
+function setAutoplay(playing) {
+    isAutoplaying = playing && currentGroup !== null && currentGroup.length > 1;
+    if (slideshowPlayBtn) {
+        slideshowPlayBtn.textContent = isAutoplaying ? '⏸' : '▶';
+        slideshowPlayBtn.title = isAutoplaying ? 'Pause (Space)' : 'Play slideshow (Space)';
+        slideshowPlayBtn.setAttribute('aria-pressed', String(isAutoplaying));
+    }
+    scheduleAutoplay();
+}
+
+function toggleAutoplay() {
+    setAutoplay(!isAutoplaying);
+}
+
+function stopAutoplay() {
+    setAutoplay(false);
+}
+
+slideshowPlayBtn?.addEventListener('click', toggleAutoplay);
+
+if (slideshowIntervalSelect) {
+    slideshowIntervalSelect.value = String(getAutoplayInterval());
+    slideshowIntervalSelect.addEventListener('change', () => {
+        localStorage.setItem(AUTOPLAY_INTERVAL_KEY, slideshowIntervalSelect.value);
+        scheduleAutoplay();
+    });
+}
+
+// Slideshow Fullscreen
+// Safari only has the prefixed API; the button is hidden where neither exists (e.g. iPhone)
+function getFullscreenElement() {
+    return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+function exitFullscreen() {
+    if (document.exitFullscreen) {
+        document.exitFullscreen().catch(() => {});
+    } else if (document.webkitExitFullscreen) {
+        document.webkitExitFullscreen();
+    }
+}
+
+function toggleFullscreen() {
+    if (getFullscreenElement()) {
+        exitFullscreen();
+    } else if (slideshowModal.requestFullscreen) {
+        slideshowModal.requestFullscreen().catch(error => console.warn('⚠️ Fullscreen failed:', error.message));
+    } else if (slideshowModal.webkitRequestFullscreen) {
+        slideshowModal.webkitRequestFullscreen();
+    }
+}
+
+if (slideshowFullscreenBtn) {
+    if (!document.fullscreenEnabled && !document.webkitFullscreenEnabled) {
+        slideshowFullscreenBtn.style.display = 'none';
+    }
+    slideshowFullscreenBtn.addEventListener('click', toggleFullscreen);
+}
+
+// Slideshow Touch
+// Swipe left or right to page, pinch to zoom, and drag to move around a zoomed photo.
+// Double-click (or double-tap) toggles zoom.
+const SWIPE_MIN_DISTANCE = 50; // px
+const ZOOM_MAX = 4;
+const ZOOM_DOUBLE_TAP = 2.5;
+const slideshowZoom = { scale: 1, x: 0, y: 0 };
+let slideshowGesture = null;
+
+function applySlideshowZoom() {
+    const { scale, x, y } = slideshowZoom;
+    slideshowImage.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+    slideshowImage.classList.toggle('is-zoomed', scale > 1);
+}
+
+function resetSlideshowZoom() {
+    Object.assign(slideshowZoom, { scale: 1, x: 0, y: 0 });
+    applySlideshowZoom();
+}
+
+function getTouchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+slideshowImage.addEventListener('touchstart', (e) => {
+    slideshowImage.classList.add('is-gesturing'); // Follow the fingers without the zoom transition
+    if (e.touches.length === 2) {
+        slideshowGesture = { type: 'pinch', distance: getTouchDistance(e.touches), scale: slideshowZoom.scale };
+    } else if (e.touches.length === 1) {
+        const touch = e.touches[0];
+        slideshowGesture = { type: slideshowZoom.scale > 1 ? 'pan' : 'swipe', startX: touch.clientX, startY: touch.clientY, x: slideshowZoom.x, y: slideshowZoom.y };
+    }
+}, { passive: true });
+
+slideshowImage.addEventListener('touchmove', (e) => {
+    if (!slideshowGesture) return;
+    e.preventDefault();
+    if (slideshowGesture.type === 'pinch' && e.touches.length === 2) {
+        const scale = slideshowGesture.scale * getTouchDistance(e.touches) / slideshowGesture.distance;
+        slideshowZoom.scale = Math.min(ZOOM_MAX, Math.max(1, scale));
+        if (slideshowZoom.scale === 1) Object.assign(slideshowZoom, { x: 0, y: 0 });
+        applySlideshowZoom();
+    } else if (slideshowGesture.type === 'pan' && e.touches.length === 1) {
+        slideshowZoom.x = slideshowGesture.x + e.touches[0].clientX - slideshowGesture.startX;
+        slideshowZoom.y = slideshowGesture.y + e.touches[0].clientY - slideshowGesture.startY;
+        applySlideshowZoom();
+    }
+}, { passive: false });
+
+slideshowImage.addEventListener('touchend', (e) => {
+    const gesture = slideshowGesture;
+    slideshowGesture = null;
+    slideshowImage.classList.remove('is-gesturing');
+    if (!gesture || gesture.type !== 'swipe' || e.changedTouches.length === 0) return;
+    
+    const dx = e.changedTouches[0].clientX - gesture.startX;
+    const dy = e.changedTouches[0].clientY - gesture.startY;
+    if (Math.abs(dx) >= SWIPE_MIN_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        (dx < 0 ? slideshowNext : slideshowPrev).click();
+    }
+});
+
+slideshowImage.addEventListener('dblclick', (e) => {
+    if (slideshowZoom.scale > 1) {
+        resetSlideshowZoom();
+        return;
     }
+    // Zoom in on the point that was tapped
+    const rect = slideshowImage.getBoundingClientRect();
+    const offsetX = e.clientX - (rect.left + rect.width / 2);
+    const offsetY = e.clientY - (rect.top + rect.height / 2);
+    Object.assign(slideshowZoom, { scale: ZOOM_DOUBLE_TAP, x: -offsetX * (ZOOM_DOUBLE_TAP - 1), y: -offsetY * (ZOOM_DOUBLE_TAP - 1) });
+    applySlideshowZoom();
 });
 
+// Slideshow Links
+// The open photo is kept in the URL hash (#group=<name>&i=<position, from 1>), so it can be
+// linked and reopens on load. replaceState keeps paging through photos out of the history.
+function replaceLocationHash(hash) {
+    const url = window.location.pathname + window.location.search + (hash ? `#${hash}` : '');
+    history.replaceState(null, '', url);
+}
+
+function updateSlideshowHash() {
+    if (!currentGroupName) return;
+    replaceLocationHash(`group=${encodeURIComponent(currentGroupName)}&i=${currentImageIndex + 1}`);
+}
+
+// Index of the photo named by the URL hash, or -1
+function getHashImageIndex() {
+    const position = Number(new URLSearchParams(window.location.hash.substring(1)).get('i'));
+    return Number.isInteger(position) && position > 0 ? position - 1 : -1;
+}
+
 // Delete Functions
 async function deleteImage(imageId) {
     try {
         const response = await fetch(`${API_BASE}/delete/${imageId}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            credentials: 'same-origin'
         });
         
+        if (response.status === 401) {
+            hideSlideshow();
+            showPasswordModal();
+            return;
+        }
+        
         if (!response.ok) {
             // Handle specific error responses
             let errorMessage = 'Delete failed';
@@ -806,6 +2609,7 @@ async function deleteImage(imageId) {
         
         hideSlideshow();
         loadGallery();
+        if (viewedGroup) showGroupView(viewedGroup);
     } catch (error) {
         console.error('Delete error:', error);
         alert(`Failed to delete image: ${error.message || 'Unknown error'}`);
@@ -815,9 +2619,15 @@ async function deleteImage(imageId) {
 async function deleteGroup(groupName) {
     try {
         const response = await fetch(`${API_BASE}/delete-group/${encodeURIComponent(groupName)}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            credentials: 'same-origin'
         });
         
+        if (response.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        
         if (!response.ok) {
             // Handle specific error responses
             let errorMessage = 'Delete failed';
@@ -846,3 +2656,607 @@ async function deleteGroup(groupName) {
     }
 }
 
+// Recently Deleted (admins only)
+// Deleted images stay in the trash until the server purges them after the retention period
+let trashImages = [];
+let trashNextCursor = null;
+
+function showTrash() {
+    galleryDisplaySection.style.display = 'none';
+    if (reviewSection) reviewSection.style.display = 'none';
+    trashSection.style.display = 'block';
+    loadTrash();
+}
+
+function hideTrash() {
+    trashSection.style.display = 'none';
+    galleryDisplaySection.style.display = '';
+    loadGallery();
+}
+
+async function loadTrash(loadMore = false) {
+    if (!loadMore) {
+        trashImages = [];
+        trashNextCursor = null;
+        trashList.innerHTML = '';
+    }
+    trashMoreBtn.disabled = true;
+    
+    try {
+        const params = new URLSearchParams();
+        if (loadMore && trashNextCursor) params.set('cursor', trashNextCursor);
+        const data = await apiRequest(`/trash?${params}`);
+        
+        trashImages = trashImages.concat(data.images);
+        trashNextCursor = data.nextCursor;
+        trashNote.textContent = `Deleted images are kept for ${data.retentionDays} days, then removed permanently.`;
+        renderTrash();
+    } catch (error) {
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error('Error loading trash:', error);
+        trashNote.textContent = `Failed to load recently deleted images: ${error.message}`;
+    } finally {
+        trashMoreBtn.disabled = false;
+    }
+}
+
+function renderTrash() {
+    trashList.innerHTML = '';
+    trashEmpty.style.display = trashImages.length === 0 ? 'block' : 'none';
+    trashMoreBtn.style.display = trashNextCursor ? 'block' : 'none';
+    
+    // Group the deleted images, in the order their groups were first seen
+    const groups = new Map();
+    trashImages.forEach(image => {
+        const groupName = image.group || 'Ungrouped';
+        if (!groups.has(groupName)) groups.set(groupName, []);
+        groups.get(groupName).push(image);
+    });
+    
+    groups.forEach((images, groupName) => {
+        const groupSection = document.createElement('div');
+        groupSection.className = 'trash-group';
+        
+        const header = document.createElement('div');
+        header.className = 'trash-group-header';
+        const title = document.createElement('h4');
+        title.textContent = `${groupName} (${images.length}${trashNextCursor ? '+' : ''})`;
+        const restoreGroupBtn = document.createElement('button');
+        restoreGroupBtn.className = 'gallery-logout';
+        restoreGroupBtn.textContent = 'Restore group';
+        restoreGroupBtn.addEventListener('click', () => restoreFromTrash({ group: groupName }));
+        header.append(title, restoreGroupBtn);
+        
+        const items = document.createElement('div');
+        items.className = 'trash-group-items';
+        images.forEach(image => {
+            const item = document.createElement('div');
+            item.className = 'trash-item';
+            item.innerHTML = `
+                <img alt="" loading="lazy">
+                <div class="trash-item-info">
+                    <small class="trash-item-deleted"></small>
+                    <small class="trash-item-purge"></small>
+                </div>
+                <div class="trash-item-actions">
+                    <button class="trash-restore-btn">Restore</button>
+                    <button class="trash-delete-btn">Delete forever</button>
+                </div>
+            `;
+            const img = item.querySelector('img');
+            img.src = getImageUrl(image, 'thumb');
+            img.alt = groupName;
+            item.querySelector('.trash-item-deleted').textContent =
+                `Deleted ${new Date(image.deletedAt).toLocaleString()}${image.deletedBy ? ` by ${image.deletedBy}` : ''}`;
+            item.querySelector('.trash-item-purge').textContent =
+                `Removed permanently ${new Date(image.purgeAt).toLocaleDateString()}`;
+            if (image.rejectionReason) {
+                const reason = document.createElement('small');
+                reason.className = 'trash-item-reason';
+                reason.textContent = `Rejected: ${image.rejectionReason}`;
+                item.querySelector('.trash-item-info').appendChild(reason);
+            }
+            item.querySelector('.trash-restore-btn').addEventListener('click', () => restoreFromTrash({ ids: [image.id] }));
+            item.querySelector('.trash-delete-btn').addEventListener('click', () => {
+                if (confirm('Permanently delete this image? This cannot be undone.')) {
+                    deleteFromTrash(image.id);
+                }
+            });
+            items.appendChild(item);
+        });
+        
+        groupSection.append(header, items);
+        trashList.appendChild(groupSection);
+    });
+}
+
+async function restoreFromTrash(selection) {
+    try {
+        await apiRequest('/trash/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(selection)
+        });
+        loadTrash();
+    } catch (error) {
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error('Restore error:', error);
+        alert(`Failed to restore: ${error.message || 'Unknown error'}`);
+    }
+}
+
+async function deleteFromTrash(imageId) {
+    try {
+        await apiRequest(`/trash/${encodeURIComponent(imageId)}`, { method: 'DELETE' });
+        loadTrash();
+    } catch (error) {
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error('Delete error:', error);
+        alert(`Failed to delete image: ${error.message || 'Unknown error'}`);
+    }
+}
+
+trashBtn?.addEventListener('click', showTrash);
+trashCloseBtn?.addEventListener('click', hideTrash);
+trashMoreBtn?.addEventListener('click', () => loadTrash(true));
+
+// Upload Review (admins only)
+// New uploads stay pending until an admin approves them; rejected ones go to the trash
+let reviewImages = [];
+let reviewNextCursor = null;
+
+function showReview() {
+    galleryDisplaySection.style.display = 'none';
+    trashSection.style.display = 'none';
+    reviewSection.style.display = 'block';
+    loadReview();
+}
+
+function hideReview() {
+    reviewSection.style.display = 'none';
+    galleryDisplaySection.style.display = '';
+    loadGallery();
+}
+
+async function loadReview(loadMore = false) {
+    if (!loadMore) {
+        reviewImages = [];
+        reviewNextCursor = null;
+        reviewList.innerHTML = '';
+    }
+    reviewMoreBtn.disabled = true;
+    
+    try {
+        const params = new URLSearchParams();
+        if (loadMore && reviewNextCursor) params.set('cursor', reviewNextCursor);
+        const data = await apiRequest(`/moderation?${params}`);
+        
+        reviewImages = reviewImages.concat(data.images);
+        reviewNextCursor = data.nextCursor;
+        renderReview();
+    } catch (error) {
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error('Error loading review queue:', error);
+        alert(`Failed to load uploads waiting for review: ${error.message}`);
+    } finally {
+        reviewMoreBtn.disabled = false;
+    }
+}
+
+function renderReview() {
+    reviewList.innerHTML = '';
+    reviewEmpty.style.display = reviewImages.length === 0 ? 'block' : 'none';
+    reviewMoreBtn.style.display = reviewNextCursor ? 'block' : 'none';
+    
+    // Group the pending images by uploader so trusted members can be approved in one go
+    const uploaders = new Map();
+    reviewImages.forEach(image => {
+        const uploader = image.uploadedBy || 'member';
+        if (!uploaders.has(uploader)) uploaders.set(uploader, []);
+        uploaders.get(uploader).push(image);
+    });
+    
+    uploaders.forEach((images, uploader) => {
+        const uploaderSection = document.createElement('div');
+        uploaderSection.className = 'trash-group';
+        
+        const header = document.createElement('div');
+        header.className = 'review-group-header';
+        const title = document.createElement('h4');
+        title.textContent = `${uploader} (${images.length}${reviewNextCursor ? '+' : ''})`;
+        const actions = document.createElement('div');
+        actions.className = 'review-group-actions';
+        const approveAllBtn = document.createElement('button');
+        approveAllBtn.className = 'gallery-logout';
+        approveAllBtn.textContent = 'Approve all';
+        approveAllBtn.addEventListener('click', () => approveImages({ uploader }));
+        actions.appendChild(approveAllBtn);
+        // The shared gallery password has no user record to mark as trusted
+        if (uploader !== 'member') {
+            const trustBtn = document.createElement('button');
+            trustBtn.className = 'gallery-logout';
+            trustBtn.textContent = 'Approve all & trust';
+            trustBtn.title = `Approve everything from ${uploader} and publish their future uploads without review`;
+            trustBtn.addEventListener('click', () => {
+                if (confirm(`Publish all future uploads from ${uploader} without review?`)) {
+                    approveImages({ uploader, trust: true });
+                }
+            });
+            actions.appendChild(trustBtn);
+        }
+        header.append(title, actions);
+        
+        const items = document.createElement('div');
+        items.className = 'review-group-items';
+        images.forEach(image => {
+            const item = document.createElement('div');
+            item.className = 'review-item';
+            item.innerHTML = `
+                <img alt="" loading="lazy">
+                <div class="review-item-info">
+                    <p class="review-item-caption"></p>
+                    <small class="review-item-group"></small>
+                    <small class="review-item-uploaded"></small>
+                </div>
+                <div class="review-item-actions">
+                    <button class="review-approve-btn">Approve</button>
+                    <button class="review-reject-btn">Reject</button>
+                </div>
+            `;
+            const img = item.querySelector('img');
+            img.src = getImageUrl(image, 'thumb');
+            img.alt = image.alt || image.group;
+            img.addEventListener('click', () => window.open(getImageUrl(image, 'original'), '_blank'));
+            const caption = item.querySelector('.review-item-caption');
+            if (image.caption) {
+                caption.textContent = image.caption;
+            } else {
+                caption.remove();
+            }
+            item.querySelector('.review-item-group').textContent = `Group: ${image.group}`;
+            item.querySelector('.review-item-uploaded').textContent =
+                `Uploaded ${new Date(image.uploadedAt).toLocaleString()}`;
+            item.querySelector('.review-approve-btn').addEventListener('click', () => approveImages({ ids: [image.id] }));
+            item.querySelector('.review-reject-btn').addEventListener('click', () => {
+                const reason = prompt('Reason for rejecting this photo (optional):', '');
+                if (reason !== null) {
+                    rejectImages([image.id], reason);
+                }
+            });
+            items.appendChild(item);
+        });
+        
+        uploaderSection.append(header, items);
+        reviewList.appendChild(uploaderSection);
+    });
+}
+
+async function approveImages(selection) {
+    try {
+        await apiRequest('/moderation/approve', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(selection)
+        });
+        loadReview();
+    } catch (error) {
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error('Approve error:', error);
+        alert(`Failed to approve: ${error.message || 'Unknown error'}`);
+    }
+}
+
+async function rejectImages(imageIds, reason) {
+    try {
+        await apiRequest('/moderation/reject', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids: imageIds, reason: reason.trim() })
+        });
+        loadReview();
+    } catch (error) {
+        if (error.status === 401) {
+            showPasswordModal();
+            return;
+        }
+        console.error('Reject error:', error);
+        alert(`Failed to reject: ${error.message || 'Unknown error'}`);
+    }
+}
+
+reviewBtn?.addEventListener('click', showReview);
+reviewCloseBtn?.addEventListener('click', hideReview);
+reviewMoreBtn?.addEventListener('click', () => loadReview(true));
+
+// Group Management (admins only)
+// Rename, merge, reorder, pin a cover and move images to another group
+let managedGroup = null;
+let managedImages = [];
+let managedCoverId = null;
+let managedOrderChanged = false;
+let groupChanged = false; // Reload the gallery when the manager closes
+
+async function openGroupManager(groupName) {
+    managedGroup = groupName;
+    managedCoverId = groupCovers[groupName] ? groupCovers[groupName].id : null;
+    managedOrderChanged = false;
+    groupChanged = false;
+    groupManageTitle.textContent = groupName;
+    groupManageGrid.innerHTML = '';
+    groupShareList.innerHTML = '';
+    groupManageModal.classList.add('active');
+    document.body.classList.add('body-no-scroll');
+    loadGroupShares();
+    
+    try {
+        managedImages = await fetchGroupImages(groupName);
+        renderGroupManager();
+    } catch (error) {
+        console.error('Error loading group images:', error);
+        groupManageGrid.textContent = `Failed to load images: ${error.message}`;
+    }
+}
+
+function closeGroupManager() {
+    groupManageModal.classList.remove('active');
+    document.body.classList.remove('body-no-scroll');
+    if (groupChanged) {
+        loadGallery();
+    }
+}
+
+function renderGroupManager() {
+    groupManageGrid.innerHTML = '';
+    groupSaveOrderBtn.disabled = !managedOrderChanged;
+    groupMoveBtn.disabled = true;
+    
+    managedImages.forEach((image, index) => {
+        const item = document.createElement('div');
+        item.className = 'group-manage-item';
+        item.classList.toggle('is-cover', image.id === managedCoverId);
+        item.innerHTML = `
+            <img alt="" loading="lazy">
+            <input type="checkbox" aria-label="Select image">
+            <div class="group-manage-item-controls">
+                <button class="group-manage-left" title="Move earlier">◀</button>
+                <button class="group-manage-cover" title="Use as cover"></button>
+                <button class="group-manage-right" title="Move later">▶</button>
+            </div>
+        `;
+        item.querySelector('img').src = getImageUrl(image, 'thumb');
+        item.querySelector('img').alt = image.originalName || managedGroup;
+        item.querySelector('input').dataset.imageId = image.id;
+        item.querySelector('input').addEventListener('change', () => {
+            groupMoveBtn.disabled = getSelectedManagedIds().length === 0;
+        });
+        
+        const leftBtn = item.querySelector('.group-manage-left');
+        const rightBtn = item.querySelector('.group-manage-right');
+        leftBtn.disabled = index === 0;
+        rightBtn.disabled = index === managedImages.length - 1;
+        leftBtn.addEventListener('click', () => moveManagedImage(index, -1));
+        rightBtn.addEventListener('click', () => moveManagedImage(index, 1));
+        
+        const coverBtn = item.querySelector('.group-manage-cover');
+        coverBtn.textContent = image.id === managedCoverId ? '★' : '☆';
+        coverBtn.addEventListener('click', () => setGroupCover(image.id === managedCoverId ? null : image.id));
+        
+        groupManageGrid.appendChild(item);
+    });
+}
+
+function getSelectedManagedIds() {
+    return [...groupManageGrid.querySelectorAll('input[type="checkbox"]:checked')]
+        .map(checkbox => checkbox.dataset.imageId);
+}
+
+function moveManagedImage(index, offset) {
+    const [image] = managedImages.splice(index, 1);
+    managedImages.splice(index + offset, 0, image);
+    managedOrderChanged = true;
+    renderGroupManager();
+}
+
+// Run a group action, reporting failures the same way as the other gallery actions
+async function runGroupAction(action, failureMessage) {
+    try {
+        await action();
+        groupChanged = true;
+        return true;
+    } catch (error) {
+        if (error.status === 401) {
+            closeGroupManager();
+            showPasswordModal();
+            return false;
+        }
+        console.error(`${failureMessage}:`, error);
+        alert(`${failureMessage}: ${error.message || 'Unknown error'}`);
+        return false;
+    }
+}
+
+async function promptForGroup(message, excludeGroup = managedGroup) {
+    let otherGroups = [];
+    try {
+        otherGroups = (await apiRequest('/groups')).filter(name => name !== excludeGroup);
+    } catch (error) {
+        console.error('Error loading groups:', error);
+    }
+    const hint = otherGroups.length > 0 ? `\n\nExisting groups: ${otherGroups.join(', ')}` : '';
+    const answer = prompt(`${message}${hint}`);
+    return answer && answer.trim() ? answer.trim() : null;
+}
+
+async function setGroupCover(imageId) {
+    const saved = await runGroupAction(() => apiRequest(`/groups/${encodeURIComponent(managedGroup)}/cover`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ imageId })
+    }), 'Failed to set cover');
+    if (saved) {
+        managedCoverId = imageId;
+        renderGroupManager();
+    }
+}
+
+groupRenameBtn?.addEventListener('click', async () => {
+    const newName = prompt(`Rename "${managedGroup}" to:`, managedGroup);
+    if (!newName || !newName.trim() || newName.trim() === managedGroup) return;
+    
+    const renamed = await runGroupAction(() => apiRequest(`/groups/${encodeURIComponent(managedGroup)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName.trim() })
+    }), 'Failed to rename group');
+    if (renamed) {
+        managedGroup = newName.trim();
+        groupManageTitle.textContent = managedGroup;
+    }
+});
+
+groupMergeBtn?.addEventListener('click', async () => {
+    const target = await promptForGroup(`Merge all images in "${managedGroup}" into which group?`);
+    if (!target || !confirm(`Move every image in "${managedGroup}" into "${target}"?`)) return;
+    
+    const merged = await runGroupAction(() => apiRequest(`/groups/${encodeURIComponent(managedGroup)}/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ into: target })
+    }), 'Failed to merge groups');
+    if (merged) {
+        closeGroupManager();
+    }
+});
+
+groupMoveBtn?.addEventListener('click', async () => {
+    const imageIds = getSelectedManagedIds();
+    const target = await promptForGroup(`Move ${imageIds.length} selected ${imageIds.length === 1 ? 'image' : 'images'} to which group?`);
+    if (!target || target === managedGroup) return;
+    
+    const moved = await runGroupAction(() => apiRequest('/images/move', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: imageIds, group: target })
+    }), 'Failed to move images');
+    if (moved) {
+        managedImages = managedImages.filter(image => !imageIds.includes(image.id));
+        if (managedImages.length === 0) {
+            closeGroupManager();
+        } else {
+            renderGroupManager();
+        }
+    }
+});
+
+groupSaveOrderBtn?.addEventListener('click', async () => {
+    const saved = await runGroupAction(() => apiRequest(`/groups/${encodeURIComponent(managedGroup)}/order`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: managedImages.map(image => image.id) })
+    }), 'Failed to save order');
+    if (saved) {
+        managedOrderChanged = false;
+        groupSaveOrderBtn.disabled = true;
+    }
+});
+
+// Share links
+// Each link opens a read-only view of the group until it expires or is revoked
+async function loadGroupShares() {
+    try {
+        const data = await apiRequest(`/groups/${encodeURIComponent(managedGroup)}/shares`);
+        renderGroupShares(data.shares);
+    } catch (error) {
+        console.error('Error loading share links:', error);
+        groupShareList.textContent = `Failed to load share links: ${error.message}`;
+    }
+}
+
+function getShareUrl(share) {
+    return new URL(share.url, window.location.origin).href;
+}
+
+// Copy to the clipboard, or show the link for copying by hand where the clipboard is unavailable
+async function copyShareLink(share) {
+    const url = getShareUrl(share);
+    try {
+        await navigator.clipboard.writeText(url);
+        alert(`Link copied. It works until ${new Date(share.expiresAt).toLocaleString()}.`);
+    } catch (error) {
+        prompt('Copy this link:', url);
+    }
+}
+
+function renderGroupShares(shares) {
+    groupShareList.innerHTML = '';
+    shares.forEach(share => {
+        const item = document.createElement('div');
+        item.className = 'group-share-item';
+        const label = document.createElement('span');
+        label.textContent = `🔗 Share link until ${new Date(share.expiresAt).toLocaleDateString()} (by ${share.createdBy})`;
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'gallery-logout';
+        copyBtn.textContent = 'Copy';
+        copyBtn.addEventListener('click', () => copyShareLink(share));
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'gallery-logout';
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.addEventListener('click', async () => {
+            if (!confirm('Revoke this link? Anyone using it will lose access.')) return;
+            const revoked = await runGroupAction(() => apiRequest(`/shares/${encodeURIComponent(share.id)}`, { method: 'DELETE' }), 'Failed to revoke link');
+            if (revoked) loadGroupShares();
+        });
+        item.append(label, copyBtn, revokeBtn);
+        groupShareList.appendChild(item);
+    });
+}
+
+groupShareBtn?.addEventListener('click', async () => {
+    const answer = prompt(`Create a read-only link to "${managedGroup}". How many days should it work (1-90)?`, '7');
+    if (answer === null) return;
+    const days = parseInt(answer, 10);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+        alert('Please enter a number of days from 1 to 90.');
+        return;
+    }
+    
+    try {
+        const data = await apiRequest(`/groups/${encodeURIComponent(managedGroup)}/shares`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ expiresInDays: days })
+        });
+        await copyShareLink(data.share);
+        loadGroupShares();
+    } catch (error) {
+        if (error.status === 401) {
+            closeGroupManager();
+            showPasswordModal();
+            return;
+        }
+        console.error('Create share link error:', error);
+        alert(`Failed to create share link: ${error.message || 'Unknown error'}`);
+    }
+});
+
+groupManageClose?.addEventListener('click', closeGroupManager);
+groupManageModal?.addEventListener('click', (e) => {
+    if (e.target === groupManageModal) {
+        closeGroupManager();
+    }
+});
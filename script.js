@@ -65,6 +65,14 @@ document.addEventListener('DOMContentLoaded', function() {
         appearOnScroll.observe(fader);
     });
 
+    // --- Offline Support ---
+    // sw.js caches the site for poor connections and queues gallery uploads made offline
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
     // --- Language Switcher Functionality ---
     const languageSelect = document.getElementById('language-select');
     const translatableElements = document.querySelectorAll('[data-translate]');
@@ -0,0 +1,291 @@
+// Service worker for the site and gallery
+// - Precaches the static pages and scripts so the site opens without a connection. Pages are
+//   fetched network-first (so changes show up at once) and fall back to the cached copy.
+// - Serves gallery thumbnails (/api/image/...?size=thumb) stale-while-revalidate.
+// - Keeps gallery uploads made while offline in IndexedDB and sends them through /api/upload
+//   when the connection returns (Background Sync where supported, otherwise when gallery.js
+//   sends 'flush-uploads' on its 'online' event).
+//
+// Bump CACHE_VERSION when the list of precached files changes.
+
+const CACHE_VERSION = 'v2';
+const STATIC_CACHE = `ssda-static-${CACHE_VERSION}`;
+const THUMBNAIL_CACHE = `ssda-thumbnails-${CACHE_VERSION}`;
+const THUMBNAIL_CACHE_LIMIT = 300; // entries; the oldest are dropped first
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  '/about.html',
+  '/donate.html',
+  '/join.html',
+  '/contact.html',
+  '/gallery.html',
+  '/style.css',
+  '/script.js',
+  '/translations.js',
+  '/gallery.js',
+  '/manifest.webmanifest',
+  '/assets/logo.png',
+];
+
+const UPLOAD_SYNC_TAG = 'gallery-uploads';
+const UPLOAD_DB_NAME = 'ssda-gallery';
+const UPLOAD_STORE = 'upload-queue';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [STATIC_CACHE, THUMBNAIL_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('ssda-') && !keep.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/api/image/') && url.searchParams.get('size') === 'thumb') {
+    event.respondWith(staleWhileRevalidate(event, THUMBNAIL_CACHE, trimThumbnailCache));
+  } else if (url.pathname.startsWith('/api/')) {
+    return; // Everything else from the API needs the network
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(event));
+  } else if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, STATIC_CACHE));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === UPLOAD_SYNC_TAG) {
+    event.waitUntil(flushUploads());
+  }
+});
+
+// Messages from gallery.js:
+//   { type: 'queue-upload', upload }  store an upload until the connection returns
+//   { type: 'flush-uploads' }         send queued uploads now (browsers without Background Sync)
+//   { type: 'get-upload-queue' }      report how many uploads are waiting
+//   { type: 'clear-image-cache' }     forget cached thumbnails (after logging out)
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  if (message.type === 'queue-upload') {
+    event.waitUntil(queueUpload(message.upload).then(() => notifyUploadQueue()));
+  } else if (message.type === 'flush-uploads') {
+    event.waitUntil(flushUploads().catch(error => console.warn('⚠️ Queued uploads not sent:', error.message)));
+  } else if (message.type === 'get-upload-queue') {
+    event.waitUntil(notifyUploadQueue());
+  } else if (message.type === 'clear-image-cache') {
+    event.waitUntil(caches.delete(THUMBNAIL_CACHE));
+  }
+});
+
+// Caching
+
+// Cloudflare Pages redirects /about.html to /about, and navigations cannot be answered with a
+// redirected response, so the final response is stored without its redirect flag
+async function precache() {
+  const cache = await caches.open(STATIC_CACHE);
+  await Promise.all(PRECACHE_URLS.map(async (path) => {
+    const response = await fetch(path, { cache: 'reload' });
+    if (!response.ok) throw new Error(`Precaching ${path} failed: HTTP ${response.status}`);
+    await cache.put(path, await withoutRedirect(response));
+  }));
+}
+
+async function withoutRedirect(response) {
+  if (!response.redirected) return response;
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+// /about, /about.html and /about.html?x=y are the same page
+async function matchPage(url) {
+  const cache = await caches.open(STATIC_CACHE);
+  const candidates = [url.pathname];
+  if (url.pathname === '/') {
+    candidates.push('/index.html');
+  } else if (url.pathname.endsWith('.html')) {
+    candidates.push(url.pathname.slice(0, -'.html'.length));
+  } else {
+    candidates.push(`${url.pathname}.html`);
+  }
+
+  for (const path of candidates) {
+    const response = await cache.match(path);
+    if (response) return response;
+  }
+  return null;
+}
+
+async function networkFirstPage(event) {
+  const url = new URL(event.request.url);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok && response.type === 'basic') {
+      const copy = response.clone();
+      event.waitUntil(caches.open(STATIC_CACHE).then(cache => cache.put(url.pathname, copy)));
+    }
+    return response;
+  } catch (error) {
+    const cached = await matchPage(url);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Answer from the cache when possible and refresh the cached copy in the background
+async function staleWhileRevalidate(event, cacheName, afterUpdate) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+
+  const update = fetch(event.request).then(async (response) => {
+    // Partial (206), failed and no-store (unpublished images) responses are not cached, and
+    // an image that is gone or no longer visible is dropped from the cache
+    const noStore = /no-store/.test(response.headers.get('Cache-Control') || '');
+    if (response.status === 200 && !noStore) {
+      await cache.put(event.request, response.clone());
+      if (afterUpdate) await afterUpdate(cache);
+    } else if (response.status === 404 || response.status === 403 || noStore) {
+      await cache.delete(event.request);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+async function trimThumbnailCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - THUMBNAIL_CACHE_LIMIT;
+  if (excess > 0) {
+    await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+  }
+}
+
+// Offline upload queue
+// Each entry is { group, file, variants: { thumb?, medium? }, width, height, details }, as
+// prepared by gallery.js. Entries are sent one at a time and removed once the server has
+// answered for them; a network error or an expired session leaves the rest for later.
+
+function openUploadDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(UPLOAD_STORE, { autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run fn(store) in a transaction and resolve with the value of the request it returns
+async function withUploadStore(mode, fn) {
+  const db = await openUploadDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(UPLOAD_STORE, mode);
+      const request = fn(transaction.objectStore(UPLOAD_STORE));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function queueUpload(upload) {
+  return withUploadStore('readwrite', store => store.add({ ...upload, queuedAt: Date.now() }));
+}
+
+async function getQueuedUploads() {
+  const [keys, uploads] = await Promise.all([
+    withUploadStore('readonly', store => store.getAllKeys()),
+    withUploadStore('readonly', store => store.getAll()),
+  ]);
+  return keys.map((key, i) => ({ key, ...uploads[i] }));
+}
+
+function removeQueuedUpload(key) {
+  return withUploadStore('readwrite', store => store.delete(key));
+}
+
+function buildUploadForm(upload) {
+  const formData = new FormData();
+  formData.append('group', upload.group);
+  formData.append('images', upload.file, upload.file.name);
+  Object.entries(upload.variants || {}).forEach(([size, blob]) => {
+    formData.append(`${size}-0`, blob, `${size}.jpg`);
+  });
+  if (upload.width) formData.append('width-0', upload.width);
+  if (upload.height) formData.append('height-0', upload.height);
+  Object.entries(upload.details || {}).forEach(([field, value]) => {
+    if (value) formData.append(`${field}-0`, value);
+  });
+  return formData;
+}
+
+let flushing = null; // Background Sync and an 'online' message can arrive together
+
+function flushUploads() {
+  if (!flushing) {
+    flushing = sendQueuedUploads().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+async function sendQueuedUploads() {
+  const results = [];
+  let loginRequired = false;
+
+  try {
+    for (const upload of await getQueuedUploads()) {
+      // A network error throws here, so Background Sync tries again later
+      const response = await fetch('/api/upload', {
+        method: 'POST',
+        body: buildUploadForm(upload),
+        credentials: 'same-origin',
+      });
+
+      if (response.status === 401) {
+        loginRequired = true;
+        break;
+      }
+      if (response.status >= 500) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      const result = (data.results && data.results[0]) ||
+        { name: upload.file.name, status: 'rejected', reason: data.details || data.error || `HTTP ${response.status}` };
+      results.push({ ...result, name: upload.file.name, group: upload.group });
+      await removeQueuedUpload(upload.key);
+      console.log('📤 Sent queued upload:', upload.file.name, result.status);
+    }
+  } finally {
+    await notifyUploadQueue({ results, loginRequired });
+  }
+}
+
+// Tell open gallery pages how many uploads are still waiting, and what happened to sent ones
+async function notifyUploadQueue({ results = [], loginRequired = false } = {}) {
+  const pending = (await withUploadStore('readonly', store => store.count())) || 0;
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'upload-queue', pending, results, loginRequired }));
+}
@@ -0,0 +1,91 @@
+// Group membership is stored as one index key per image (see getIndexKeys), so uploads and
+// deletes running at the same time must never lose each other's images
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createJpeg, callApi, login, silenceLogs } from './helpers.js';
+
+const GROUP = 'Spring Workshop';
+
+before(silenceLogs);
+
+function uploadImage(env, token, seed) {
+  const formData = new FormData();
+  formData.append('group', GROUP);
+  formData.append('images', new Blob([createJpeg(seed)], { type: 'image/jpeg' }), `photo-${seed}.jpg`);
+  return callApi(env, 'POST', '/api/upload', { token, body: formData });
+}
+
+async function uploadedImageId(response) {
+  assert.equal(response.status, 200);
+  const { results } = await response.json();
+  assert.equal(results[0].status, 'accepted');
+  return results[0].image.id;
+}
+
+// Follow nextCursor through every page of /api/gallery
+async function listAllImageIds(env, token, group) {
+  const ids = [];
+  let cursor = '';
+  do {
+    const params = new URLSearchParams({ limit: '7' });
+    if (group) params.set('group', group);
+    if (cursor) params.set('cursor', cursor);
+    const response = await callApi(env, 'GET', `/api/gallery?${params}`, { token });
+    assert.equal(response.status, 200);
+    const page = await response.json();
+    ids.push(...page.images.map(image => image.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+test('concurrent uploads and deletes in one group keep every surviving image', async () => {
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+
+  const existingIds = [];
+  for (let seed = 0; seed < 20; seed++) {
+    existingIds.push(await uploadedImageId(await uploadImage(env, token, seed)));
+  }
+  const deletedIds = existingIds.filter((id, i) => i % 2 === 0);
+
+  const [uploadResponses, deleteResponses] = await Promise.all([
+    Promise.all(Array.from({ length: 30 }, (_, i) => uploadImage(env, token, 100 + i))),
+    Promise.all(deletedIds.map(id => callApi(env, 'DELETE', `/api/delete/${encodeURIComponent(id)}`, { token }))),
+  ]);
+  const newIds = await Promise.all(uploadResponses.map(uploadedImageId));
+  deleteResponses.forEach(response => assert.equal(response.status, 200));
+
+  const expected = [...existingIds.filter(id => !deletedIds.includes(id)), ...newIds].sort();
+  assert.equal(new Set(expected).size, 40);
+
+  // The group listing and the newest-first listing of the whole gallery
+  assert.deepEqual((await listAllImageIds(env, token, GROUP)).sort(), expected);
+  assert.deepEqual((await listAllImageIds(env, token)).sort(), expected);
+
+  // The group's index keys are what listGroupImageIds reads
+  const groupKeys = env.GALLERY_SSDA.keys(`gallery:by-group:${encodeURIComponent(GROUP)}:`);
+  assert.deepEqual(groupKeys.map(key => key.split(':').pop()).sort(), expected);
+
+  const groups = await (await callApi(env, 'GET', '/api/groups', { token })).json();
+  assert.ok(groups.includes(GROUP));
+});
+
+test('deleting a group trashes every image uploaded to it concurrently', async () => {
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+
+  const responses = await Promise.all(Array.from({ length: 25 }, (_, i) => uploadImage(env, token, i)));
+  const ids = await Promise.all(responses.map(uploadedImageId));
+
+  // handleDeleteGroup finds the group's images with listGroupImageIds
+  const response = await callApi(env, 'DELETE', `/api/delete-group/${encodeURIComponent(GROUP)}`, { token });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).trashed, ids.length);
+
+  assert.deepEqual(await listAllImageIds(env, token, GROUP), []);
+  assert.deepEqual(env.GALLERY_SSDA.keys('gallery:by-group:'), []);
+  for (const id of ids) {
+    assert.ok(JSON.parse(await env.GALLERY_SSDA.get(`image:${id}`)).deletedAt, `${id} is in the trash`);
+  }
+});
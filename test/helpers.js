@@ -0,0 +1,204 @@
+// In-memory stand-ins for the Cloudflare bindings used by functions/api/[[path]].js, and a small
+// client that sends requests straight to its onRequest handler
+import { mock } from 'node:test';
+import { onRequest } from '../functions/api/[[path]].js';
+
+// Every KV call waits a random few milliseconds, so concurrent requests interleave the way they
+// do on Cloudflare instead of running one after another
+function randomDelay() {
+  return new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+}
+
+// Map-backed KV namespace: get, put (with metadata), delete and list (sorted, with cursors)
+export class MemoryKV {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    await randomDelay();
+    const entry = this.entries.get(key);
+    return entry ? entry.value : null;
+  }
+
+  async put(key, value, options = {}) {
+    await randomDelay();
+    this.entries.set(key, { value: String(value), metadata: options.metadata ?? null });
+  }
+
+  async delete(key) {
+    await randomDelay();
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = '', limit = 1000, cursor } = {}) {
+    await randomDelay();
+    const names = [...this.entries.keys()].filter(name => name.startsWith(prefix)).sort();
+    const start = cursor ? Number(cursor) : 0;
+    const page = names.slice(start, start + limit);
+    const complete = start + page.length >= names.length;
+    return {
+      keys: page.map(name => ({ name, metadata: this.entries.get(name).metadata })),
+      list_complete: complete,
+      cursor: complete ? undefined : String(start + page.length),
+    };
+  }
+
+  keys(prefix = '') {
+    return [...this.entries.keys()].filter(name => name.startsWith(prefix));
+  }
+}
+
+async function toBytes(value) {
+  if (value instanceof Uint8Array) return new Uint8Array(value);
+  if (value instanceof ArrayBuffer) return new Uint8Array(value.slice(0));
+  return new Uint8Array(await new Response(value).arrayBuffer());
+}
+
+function toObject(key, { body, httpMetadata }) {
+  return {
+    key,
+    size: body.byteLength,
+    etag: `etag-${key}-${body.byteLength}`,
+    httpEtag: `"etag-${key}-${body.byteLength}"`,
+    uploaded: new Date(),
+    httpMetadata,
+    body: new Response(body).body,
+    arrayBuffer: async () => body.slice().buffer,
+    writeHttpMetadata(headers) {
+      if (httpMetadata.contentType) headers.set('Content-Type', httpMetadata.contentType);
+    },
+  };
+}
+
+// Map-backed R2 bucket with multipart uploads (no ranges or conditional requests)
+export class MemoryR2 {
+  constructor() {
+    this.objects = new Map();
+    this.multipartUploads = new Map();
+  }
+
+  async put(key, value, options = {}) {
+    const stored = { body: await toBytes(value), httpMetadata: options.httpMetadata || {} };
+    this.objects.set(key, stored);
+    return toObject(key, stored);
+  }
+
+  async get(key) {
+    const stored = this.objects.get(key);
+    return stored ? toObject(key, stored) : null;
+  }
+
+  async head(key) {
+    const stored = this.objects.get(key);
+    if (!stored) return null;
+    const { body, ...object } = toObject(key, stored);
+    return object;
+  }
+
+  async delete(keys) {
+    for (const key of [].concat(keys)) {
+      this.objects.delete(key);
+    }
+  }
+
+  async list({ prefix = '' } = {}) {
+    const objects = [...this.objects.keys()]
+      .filter(key => key.startsWith(prefix))
+      .sort()
+      .map(key => ({ key, size: this.objects.get(key).body.byteLength, uploaded: new Date() }));
+    return { objects, truncated: false };
+  }
+
+  async createMultipartUpload(key, options = {}) {
+    const uploadId = `upload-${this.multipartUploads.size + 1}-${Date.now()}`;
+    this.multipartUploads.set(uploadId, { key, options, parts: new Map() });
+    return this.resumeMultipartUpload(key, uploadId);
+  }
+
+  resumeMultipartUpload(key, uploadId) {
+    const bucket = this;
+    const getUpload = () => {
+      const upload = bucket.multipartUploads.get(uploadId);
+      if (!upload) throw new Error('The specified multipart upload does not exist');
+      return upload;
+    };
+    return {
+      key,
+      uploadId,
+      async uploadPart(partNumber, value) {
+        getUpload().parts.set(partNumber, await toBytes(value));
+        return { partNumber, etag: `part-${partNumber}` };
+      },
+      async complete(parts) {
+        const upload = getUpload();
+        const chunks = [...parts]
+          .sort((a, b) => a.partNumber - b.partNumber)
+          .map(part => upload.parts.get(part.partNumber));
+        bucket.multipartUploads.delete(uploadId);
+        return bucket.put(key, new Blob(chunks), upload.options);
+      },
+      async abort() {
+        bucket.multipartUploads.delete(uploadId);
+      },
+    };
+  }
+}
+
+export function createEnv() {
+  return {
+    'gallery-imagessda': new MemoryR2(),
+    GALLERY_SSDA: new MemoryKV(),
+    GALLERY_PASSWORD: 'member-password',
+    GALLERY_ADMIN_PASSWORD: 'admin-password',
+    SESSION_SECRET: 'test-session-secret',
+  };
+}
+
+// A minimal JPEG (SOI, JFIF header, EOI); seed changes the header's pixel density so every
+// seed gives a different file and hash
+export function createJpeg(seed = 0) {
+  return new Uint8Array([
+    0xFF, 0xD8,
+    0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00,
+    (seed >> 8) & 0xFF, seed & 0xFF, 0x00, 0x01, 0x00, 0x00,
+    0xFF, 0xD9,
+  ]);
+}
+
+// Send one request to the API; token is sent as the session cookie
+export function callApi(env, method, path, { token, json, body, headers = {} } = {}) {
+  const requestHeaders = new Headers(headers);
+  if (token) requestHeaders.set('Cookie', `ssda_session=${token}`);
+  if (json !== undefined) {
+    body = JSON.stringify(json);
+    requestHeaders.set('Content-Type', 'application/json');
+  }
+  const request = new Request(`https://gallery.test${path}`, { method, headers: requestHeaders, body });
+  return onRequest({ request, env, waitUntil() {} });
+}
+
+// Log in and return the session token from the Set-Cookie header
+export async function login(env, password, username) {
+  const response = await callApi(env, 'POST', '/api/login', { json: { username, password } });
+  const match = /ssda_session=([^;]+)/.exec(response.headers.get('Set-Cookie') || '');
+  if (!response.ok || !match) throw new Error(`Login failed: HTTP ${response.status}`);
+  return match[1];
+}
+
+// Create a user as the admin and log in as them; the password is "<username>-password"
+export async function createUser(env, adminToken, username, role) {
+  const response = await callApi(env, 'PUT', `/api/users/${username}`, {
+    token: adminToken,
+    json: { role, password: `${username}-password` },
+  });
+  if (!response.ok) throw new Error(`Creating ${username} failed: HTTP ${response.status}`);
+  return login(env, `${username}-password`, username);
+}
+
+// The API logs every request; keep the test output readable
+export function silenceLogs() {
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
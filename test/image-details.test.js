@@ -0,0 +1,41 @@
+// Captions, alt text, tags and credit (PATCH /api/images/:id) can be changed by the user who
+// uploaded the image and by admins, but not by other uploaders
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createJpeg, callApi, createUser, login, silenceLogs } from './helpers.js';
+
+before(silenceLogs);
+
+async function uploadImage(env, token) {
+  const formData = new FormData();
+  formData.append('group', 'Open Day');
+  formData.append('images', new Blob([createJpeg(5)], { type: 'image/jpeg' }), 'photo.jpg');
+  const response = await callApi(env, 'POST', '/api/upload', { token, body: formData });
+  assert.equal(response.status, 200);
+  const { results } = await response.json();
+  return results[0].image;
+}
+
+function updateCaption(env, token, imageId, caption) {
+  return callApi(env, 'PATCH', `/api/images/${imageId}`, { token, json: { caption } });
+}
+
+test('only the uploader and admins can edit an image', async () => {
+  const env = createEnv();
+  const admin = await login(env, 'admin-password', 'admin');
+  const alice = await createUser(env, admin, 'alice', 'uploader');
+  const bob = await createUser(env, admin, 'bob', 'uploader');
+  const image = await uploadImage(env, alice);
+
+  const denied = await updateCaption(env, bob, image.id, 'Not mine');
+  assert.equal(denied.status, 403);
+
+  const own = await updateCaption(env, alice, image.id, 'Welcome desk');
+  assert.equal(own.status, 200);
+  assert.equal((await own.json()).image.caption, 'Welcome desk');
+
+  const byAdmin = await updateCaption(env, admin, image.id, 'Welcome desk at the main hall');
+  assert.equal(byAdmin.status, 200);
+  const stored = JSON.parse(await env.GALLERY_SSDA.get(`image:${image.id}`));
+  assert.equal(stored.caption, 'Welcome desk at the main hall');
+});
@@ -0,0 +1,45 @@
+// Uploads from users who are not trusted wait in the moderation queue; until an admin approves
+// them their files are only served to admins and the user who uploaded them
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createJpeg, callApi, createUser, login, silenceLogs } from './helpers.js';
+
+before(silenceLogs);
+
+async function uploadImage(env, token) {
+  const formData = new FormData();
+  formData.append('group', 'Regatta');
+  formData.append('images', new Blob([createJpeg(3)], { type: 'image/jpeg' }), 'photo.jpg');
+  const response = await callApi(env, 'POST', '/api/upload', { token, body: formData });
+  assert.equal(response.status, 200);
+  const { results } = await response.json();
+  return results[0].image;
+}
+
+test('pending images are only served to admins and their uploader', async () => {
+  const env = createEnv();
+  const admin = await login(env, 'admin-password', 'admin');
+  const alice = await createUser(env, admin, 'alice', 'uploader');
+  const bob = await createUser(env, admin, 'bob', 'uploader');
+  const member = await login(env, 'member-password');
+
+  const image = await uploadImage(env, alice);
+  assert.equal(image.status, 'pending');
+  const thumbUrl = `${image.url}?size=thumb`;
+
+  assert.equal((await callApi(env, 'GET', thumbUrl, { token: member })).status, 404);
+  assert.equal((await callApi(env, 'GET', image.url, { token: bob })).status, 404);
+
+  for (const token of [alice, admin]) {
+    const response = await callApi(env, 'GET', thumbUrl, { token });
+    assert.equal(response.status, 200);
+    // Not kept by the browser or the service worker's thumbnail cache
+    assert.match(response.headers.get('Cache-Control'), /no-store/);
+  }
+
+  const approve = await callApi(env, 'POST', '/api/moderation/approve', { token: admin, json: { ids: [image.id] } });
+  assert.equal(approve.status, 200);
+  const response = await callApi(env, 'GET', thumbUrl, { token: member });
+  assert.equal(response.status, 200);
+  assert.doesNotMatch(response.headers.get('Cache-Control'), /no-store/);
+});
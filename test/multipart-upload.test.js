@@ -0,0 +1,101 @@
+// Resumable uploads through /api/uploads: finished parts are tracked in the upload session and
+// /complete can be retried, or sent twice at once, without storing the file twice
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createJpeg, callApi, login, silenceLogs } from './helpers.js';
+
+const PART_SIZE = 5 * 1024 * 1024;
+
+before(silenceLogs);
+
+// A JPEG padded past the end of the image, so it needs two parts
+function createLargeJpeg() {
+  const file = new Uint8Array(PART_SIZE + 1000);
+  file.set(createJpeg(7));
+  return file;
+}
+
+async function startUpload(env, token, file) {
+  const response = await callApi(env, 'POST', '/api/uploads', {
+    token,
+    json: { fileName: 'large.jpg', size: file.byteLength, type: 'image/jpeg', group: 'Tournament' },
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+function sendPart(env, token, uploadId, partNumber, file) {
+  const body = file.slice((partNumber - 1) * PART_SIZE, partNumber * PART_SIZE);
+  return callApi(env, 'PUT', `/api/uploads/${uploadId}/parts/${partNumber}`, { token, body });
+}
+
+test('finished parts are listed as soon as they are uploaded', async () => {
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+  const file = createLargeJpeg();
+  const { uploadId, partCount } = await startUpload(env, token, file);
+  assert.equal(partCount, 2);
+
+  assert.equal((await sendPart(env, token, uploadId, 2, file)).status, 200);
+  const status = await (await callApi(env, 'GET', `/api/uploads/${uploadId}`, { token })).json();
+  assert.deepEqual(status.parts, [{ partNumber: 2, size: 1000 }]);
+
+  const incomplete = await callApi(env, 'POST', `/api/uploads/${uploadId}/complete`, { token });
+  assert.equal(incomplete.status, 409);
+  assert.deepEqual((await incomplete.json()).missingParts, [1]);
+});
+
+test('a retried /complete returns the saved image instead of 404', async () => {
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+  const file = createLargeJpeg();
+  const { uploadId } = await startUpload(env, token, file);
+  for (const partNumber of [1, 2]) {
+    assert.equal((await sendPart(env, token, uploadId, partNumber, file)).status, 200);
+  }
+
+  const first = await callApi(env, 'POST', `/api/uploads/${uploadId}/complete`, { token });
+  assert.equal(first.status, 200);
+  const { image } = await first.json();
+
+  const retry = await callApi(env, 'POST', `/api/uploads/${uploadId}/complete`, { token });
+  assert.equal(retry.status, 200);
+  const retried = await retry.json();
+  assert.equal(retried.result.status, 'accepted');
+  assert.equal(retried.image.id, image.id);
+
+  // Only one image was stored
+  const gallery = await (await callApi(env, 'GET', '/api/gallery', { token })).json();
+  assert.deepEqual(gallery.images.map(stored => stored.id), [image.id]);
+
+  // The saved answer is only for the user who made the upload
+  await callApi(env, 'PUT', '/api/users/coach', { token, json: { role: 'uploader', password: 'coach-password' } });
+  const otherToken = await login(env, 'coach-password', 'coach');
+  const other = await callApi(env, 'POST', `/api/uploads/${uploadId}/complete`, { token: otherToken });
+  assert.equal(other.status, 404);
+});
+
+test('simultaneous /complete calls store the image once', async () => {
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+  const file = createLargeJpeg();
+  const { uploadId } = await startUpload(env, token, file);
+  for (const partNumber of [1, 2]) {
+    assert.equal((await sendPart(env, token, uploadId, partNumber, file)).status, 200);
+  }
+
+  const responses = await Promise.all(Array.from({ length: 3 }, () => callApi(env, 'POST', `/api/uploads/${uploadId}/complete`, { token })));
+  // One call assembles the file; the others get its answer, are asked to try again while it is
+  // working, or fail because R2 had already completed the upload (gallery.js retries both)
+  const statuses = responses.map(response => response.status);
+  statuses.forEach(status => assert.ok([200, 500, 503].includes(status), `statuses: ${statuses}`));
+  const answers = await Promise.all(responses.filter(response => response.status === 200).map(response => response.json()));
+  assert.ok(answers.length > 0, `statuses: ${statuses}`);
+  const { image } = answers[0];
+  answers.forEach(answer => assert.equal(answer.image.id, image.id));
+
+  const retry = await callApi(env, 'POST', `/api/uploads/${uploadId}/complete`, { token });
+  assert.equal((await retry.json()).image.id, image.id);
+  const gallery = await (await callApi(env, 'GET', '/api/gallery', { token })).json();
+  assert.deepEqual(gallery.images.map(stored => stored.id), [image.id]);
+});
@@ -0,0 +1,56 @@
+// /api/search only checks a limited number of images, so it starts from the query word with the
+// fewest matches and says when some matching images could not be returned
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, callApi, login, silenceLogs } from './helpers.js';
+
+before(silenceLogs);
+
+// Image records and their search keys, written straight into KV (a thousand uploads would be slow)
+function storeImages(env, count, idPrefix, tags) {
+  env.GALLERY_SSDA.entries.set('settings:index-version', { value: '5', metadata: null });
+  for (let i = 0; i < count; i++) {
+    const id = `${idPrefix}-${String(i).padStart(4, '0')}`;
+    const fileName = `gallery-imagessda/image-${id}.jpg`;
+    const metadata = {
+      id,
+      fileName,
+      url: `/api/image/${fileName}`,
+      group: 'Archive',
+      tags,
+      uploadedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(),
+      status: 'approved',
+    };
+    env.GALLERY_SSDA.entries.set(`image:${id}`, { value: JSON.stringify(metadata), metadata: null });
+    for (const tag of tags) {
+      env.GALLERY_SSDA.entries.set(`search:${tag}:${id}`, { value: id, metadata: null });
+    }
+  }
+}
+
+async function search(env, token, q) {
+  const response = await callApi(env, 'GET', `/api/search?${new URLSearchParams({ q })}`, { token });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test('a rare word finds its images even when the other word matches too many to check', async () => {
+  const env = createEnv();
+  const token = await login(env, 'member-password');
+  storeImages(env, 1200, 'a', ['common']);
+  storeImages(env, 3, 'z', ['common', 'rare']);
+
+  const result = await search(env, token, 'common rare');
+  assert.deepEqual(result.images.map(image => image.id).sort(), ['z-0000', 'z-0001', 'z-0002']);
+  assert.equal(result.truncated, false);
+});
+
+test('searches that match too many images say so', async () => {
+  const env = createEnv();
+  const token = await login(env, 'member-password');
+  storeImages(env, 1200, 'a', ['common']);
+
+  const result = await search(env, token, 'common');
+  assert.equal(result.images.length, 50);
+  assert.equal(result.truncated, true);
+});
@@ -0,0 +1,44 @@
+// Logging out ends the session on the server, not only in the browser
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, callApi, login, silenceLogs } from './helpers.js';
+
+before(silenceLogs);
+
+async function isAuthenticated(env, options) {
+  const response = await callApi(env, 'GET', '/api/session', options);
+  return (await response.json()).authenticated;
+}
+
+test('the login response sets the session cookie but does not contain the token', async () => {
+  const env = createEnv();
+  const response = await callApi(env, 'POST', '/api/login', { json: { password: 'member-password' } });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Set-Cookie'), /^ssda_session=[^;]+; Path=\/; HttpOnly/);
+  const body = await response.json();
+  assert.equal(body.success, true);
+  assert.equal(body.token, undefined);
+});
+
+test('a token stops working after logout, as a cookie and as a Bearer token', async () => {
+  const env = createEnv();
+  const token = await login(env, 'member-password');
+  assert.equal(await isAuthenticated(env, { token }), true);
+
+  const logout = await callApi(env, 'POST', '/api/logout', { token });
+  assert.equal(logout.status, 200);
+  assert.match(logout.headers.get('Set-Cookie'), /Max-Age=0/);
+
+  assert.equal(await isAuthenticated(env, { token }), false);
+  assert.equal(await isAuthenticated(env, { headers: { Authorization: `Bearer ${token}` } }), false);
+});
+
+test('logging out one session leaves the others logged in', async () => {
+  const env = createEnv();
+  const phone = await login(env, 'member-password');
+  const laptop = await login(env, 'member-password');
+
+  await callApi(env, 'POST', '/api/logout', { token: phone });
+  assert.equal(await isAuthenticated(env, { token: phone }), false);
+  assert.equal(await isAuthenticated(env, { token: laptop }), true);
+});
@@ -0,0 +1,90 @@
+// Images linked into another group share the original's R2 objects; purging one of the records
+// must leave the objects alone while another record still uses them
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createJpeg, callApi, login, silenceLogs } from './helpers.js';
+
+before(silenceLogs);
+
+// An image record stored directly in KV, like the ones from before duplicate detection
+async function storeLegacyImage(env, id, fields = {}) {
+  const fileName = `gallery-imagessda/image-${id}.jpg`;
+  const thumb = `gallery-imagessda/image-${id}.thumb.jpg`;
+  await env['gallery-imagessda'].put(fileName, createJpeg(1));
+  await env['gallery-imagessda'].put(thumb, createJpeg(2));
+  const metadata = {
+    id,
+    fileName,
+    url: `/api/image/${fileName}`,
+    group: 'Archive',
+    uploadedAt: '2024-05-01T10:00:00.000Z',
+    type: 'image/jpeg',
+    variants: { thumb },
+    status: 'approved',
+    ...fields,
+  };
+  await env.GALLERY_SSDA.put(`image:${id}`, JSON.stringify(metadata));
+  return metadata;
+}
+
+async function purge(env, token, id) {
+  assert.equal((await callApi(env, 'DELETE', `/api/delete/${id}`, { token })).status, 200);
+  assert.equal((await callApi(env, 'DELETE', `/api/trash/${id}`, { token })).status, 200);
+}
+
+function storedKeys(env) {
+  return [...env['gallery-imagessda'].objects.keys()].sort();
+}
+
+test('purging an unhashed original keeps the objects of its links', async () => {
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+  const original = await storeLegacyImage(env, 'legacy-1');
+  const objectKeys = storedKeys(env);
+
+  const response = await callApi(env, 'POST', '/api/images/link', { token, json: { ids: [original.id], group: 'Highlights' } });
+  assert.equal(response.status, 200);
+  const [link] = (await response.json()).images;
+  assert.equal(link.fileName, original.fileName);
+
+  await purge(env, token, original.id);
+  assert.deepEqual(storedKeys(env), objectKeys);
+  const image = await callApi(env, 'GET', `/api/image/${link.fileName}`, { token });
+  assert.equal(image.status, 200);
+  // The link's thumbnail is found through its own record
+  const thumb = await callApi(env, 'GET', `/api/image/${link.fileName}?size=thumb&id=${link.id}`, { token });
+  assert.equal(thumb.status, 200);
+  assert.deepEqual(new Uint8Array(await thumb.arrayBuffer()), createJpeg(2));
+
+  // The last record using the objects takes them with it
+  await purge(env, token, link.id);
+  assert.deepEqual(storedKeys(env), []);
+});
+
+test('records linked before the object keys are found by file name', async () => {
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+  const original = await storeLegacyImage(env, 'legacy-2');
+  await env.GALLERY_SSDA.put('image:legacy-2-link', JSON.stringify({ ...original, id: 'legacy-2-link', group: 'Highlights', linkedFrom: original.id }));
+  const objectKeys = storedKeys(env);
+
+  await purge(env, token, original.id);
+  assert.deepEqual(storedKeys(env), objectKeys);
+});
+
+test('records with different hashes still share objects', async () => {
+  // The scrub job hashed the original before rewriting the file and the link after
+  const env = createEnv();
+  const token = await login(env, 'admin-password', 'admin');
+  const uploadedHash = 'a'.repeat(64);
+  const strippedHash = 'b'.repeat(64);
+  const original = await storeLegacyImage(env, 'legacy-3', { sha256: uploadedHash, storedSha256: strippedHash });
+  await env.GALLERY_SSDA.put(`hash:${uploadedHash}:legacy-3`, 'legacy-3');
+  await env.GALLERY_SSDA.put(`hash:${strippedHash}:legacy-3`, 'legacy-3');
+  await env.GALLERY_SSDA.put('image:legacy-3-link', JSON.stringify({ ...original, id: 'legacy-3-link', group: 'Highlights', sha256: strippedHash, storedSha256: undefined }));
+  await env.GALLERY_SSDA.put(`hash:${strippedHash}:legacy-3-link`, 'legacy-3-link');
+  const objectKeys = storedKeys(env);
+
+  await purge(env, token, original.id);
+  assert.deepEqual(storedKeys(env), objectKeys);
+});
@@ -66,6 +66,39 @@ const translations = {
         "Refresh": "새로고침",
         "Loading images...": "이미지 로딩 중...",
         "No images uploaded yet. Be the first to share!": "아직 업로드된 이미지가 없습니다. 첫 번째로 공유해보세요!",
-        "Delete": "삭제"
+        "Delete": "삭제",
+        "Log out": "로그아웃",
+        "Username (optional)": "사용자 이름 (선택 사항)",
+        "Recently deleted": "최근 삭제된 항목",
+        "Back to gallery": "갤러리로 돌아가기",
+        "The trash is empty.": "휴지통이 비어 있습니다.",
+        "Review uploads": "업로드 검토",
+        "New uploads appear in the gallery once they are approved. Rejected photos move to Recently deleted.": "새 업로드는 승인된 후 갤러리에 표시됩니다. 거부된 사진은 최근 삭제된 항목으로 이동합니다.",
+        "No uploads are waiting for review.": "검토를 기다리는 업로드가 없습니다.",
+        "Load more": "더 보기",
+        "Rename": "이름 바꾸기",
+        "Merge into...": "다른 그룹에 합치기...",
+        "Move selected...": "선택 항목 이동...",
+        "Save order": "순서 저장",
+        "Create share link": "공유 링크 만들기",
+        "Use the arrows to reorder, ★ to pin the cover and the checkboxes to pick images to move.": "화살표로 순서를 바꾸고, ★로 대표 이미지를 고정하고, 체크박스로 이동할 이미지를 선택하세요.",
+        "Tap a photo to add a caption, alt text, tags or credit.": "사진을 눌러 설명, 대체 텍스트, 태그 또는 촬영자를 추가하세요.",
+        "Caption": "설명",
+        "Alt text (describe the photo for screen readers)": "대체 텍스트 (화면 낭독기를 위한 사진 설명)",
+        "Tags (comma separated)": "태그 (쉼표로 구분)",
+        "Photographer credit": "촬영자",
+        "Save": "저장",
+        "Cancel": "취소",
+        "Edit details": "✏️ 세부 정보 편집",
+        "Download all": "⬇️ 모두 다운로드",
+        "Slideshow": "슬라이드쇼",
+        "Select all": "모두 선택",
+        "Download selected": "선택 항목 다운로드",
+        "Delete selected": "선택 항목 삭제",
+        "This group has no photos.": "이 그룹에는 사진이 없습니다.",
+        "Resize photos to": "사진 크기 조정",
+        "Original size": "원본 크기",
+        "Quality": "품질",
+        "Location and camera details are removed from photos when they are uploaded.": "사진을 업로드하면 위치 및 카메라 정보가 삭제됩니다."
     }
 };
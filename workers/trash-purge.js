@@ -0,0 +1,34 @@
+// Scheduled worker for the gallery trash
+// Cloudflare Pages Functions cannot run on a cron trigger, so this small worker calls
+// POST /api/trash/purge once a day. The Pages Function does the actual work: it permanently
+// deletes images that have been in the trash longer than TRASH_RETENTION_DAYS and aborts
+// abandoned multipart uploads.
+//
+// Configuration (see wrangler.toml):
+//   GALLERY_URL  - site origin, e.g. https://example.org
+//   CRON_SECRET  - secret shared with the Pages project (wrangler secret put CRON_SECRET)
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(purgeTrash(env));
+  },
+};
+
+async function purgeTrash(env) {
+  if (!env.GALLERY_URL || !env.CRON_SECRET) {
+    console.error('❌ GALLERY_URL and CRON_SECRET must be configured for the trash purge');
+    return;
+  }
+
+  const response = await fetch(new URL('/api/trash/purge', env.GALLERY_URL), {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${env.CRON_SECRET}` },
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    console.error('❌ Trash purge failed:', response.status, result.error || response.statusText);
+    return;
+  }
+  console.log('🧹 Trash purge:', result.purged, 'images,', result.abortedUploads, 'stale uploads');
+}